@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Test token with USDT-style approval race protection: a non-zero allowance can only
+/// be changed by setting it to zero first
+contract ApprovalRaceToken is ERC20 {
+    uint8 private immutable _decimals;
+
+    error NonZeroAllowance(address spender, uint256 allowance);
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply,
+        address initialOwner
+    ) ERC20(name, symbol) {
+        _decimals = decimals_;
+        _mint(initialOwner, initialSupply);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function approve(address spender, uint256 value) public virtual override returns (bool) {
+        uint256 current = allowance(msg.sender, spender);
+        if (value != 0 && current != 0) {
+            revert NonZeroAllowance(spender, current);
+        }
+        return super.approve(spender, value);
+    }
+}
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/// @notice Test token in the style of USDC: blocked accounts can neither send nor receive
+contract BlocklistToken is ERC20, AccessControl {
+    bytes32 public constant BLOCKLISTER_ROLE = keccak256("BLOCKLISTER_ROLE");
+
+    uint8 private immutable _decimals;
+    mapping(address => bool) public isBlocked;
+
+    event Blocked(address indexed account);
+    event Unblocked(address indexed account);
+
+    error AccountBlocked(address account);
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply,
+        address initialOwner
+    ) ERC20(name, symbol) {
+        _decimals = decimals_;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
+        _grantRole(BLOCKLISTER_ROLE, initialOwner);
+
+        _mint(initialOwner, initialSupply);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function blockAccount(address account) public onlyRole(BLOCKLISTER_ROLE) {
+        isBlocked[account] = true;
+        emit Blocked(account);
+    }
+
+    function unblockAccount(address account) public onlyRole(BLOCKLISTER_ROLE) {
+        isBlocked[account] = false;
+        emit Unblocked(account);
+    }
+
+    function _update(address from, address to, uint256 value) internal virtual override {
+        if (isBlocked[from]) {
+            revert AccountBlocked(from);
+        }
+        if (isBlocked[to]) {
+            revert AccountBlocked(to);
+        }
+        super._update(from, to, value);
+    }
+}
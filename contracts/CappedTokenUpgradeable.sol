@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20CappedUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/// @notice Proxy implementation of CappedToken. Deployed behind a TransparentUpgradeableProxy.
+contract CappedTokenUpgradeable is
+    ERC20Upgradeable,
+    ERC20BurnableUpgradeable,
+    ERC20CappedUpgradeable,
+    AccessControlUpgradeable
+{
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    uint8 private _decimals;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply,
+        uint256 cap_,
+        address initialOwner
+    ) public initializer {
+        __ERC20_init(name, symbol);
+        __ERC20Burnable_init();
+        __ERC20Capped_init(cap_);
+        __AccessControl_init();
+
+        _decimals = decimals_;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
+        _grantRole(MINTER_ROLE, initialOwner);
+
+        if (initialSupply > 0) {
+            _mint(initialOwner, initialSupply);
+        }
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address to, uint256 amount) public onlyRole(MINTER_ROLE) {
+        _mint(to, amount);
+    }
+
+    function _update(address from, address to, uint256 value)
+        internal
+        virtual
+        override(ERC20Upgradeable, ERC20CappedUpgradeable)
+    {
+        super._update(from, to, value);
+    }
+}
+
+/// @notice CappedTokenUpgradeable for ERC1967 (UUPS) proxies, upgradeable by DEFAULT_ADMIN_ROLE
+contract CappedTokenUUPS is CappedTokenUpgradeable, UUPSUpgradeable {
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
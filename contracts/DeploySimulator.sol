@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @notice Never deployed. Executed through eth_call by the dry-run mode: the constructor
+/// deploys a token from its init code, performs the initial holder transfers and returns
+/// the gas each transfer consumed instead of runtime code. Transfers go through a low-level
+/// call so that tokens whose transfer returns nothing can be simulated too.
+contract DeploySimulator {
+    constructor(bytes memory tokenInitCode, address[] memory recipients, uint256[] memory amounts) {
+        address token;
+        assembly {
+            token := create(0, add(tokenInitCode, 0x20), mload(tokenInitCode))
+        }
+        require(token != address(0), "DeploySimulator: token deployment reverted");
+
+        uint256[] memory gasUsed = new uint256[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 gasBefore = gasleft();
+            (bool success, bytes memory returned) = token.call(
+                abi.encodeCall(IERC20.transfer, (recipients[i], amounts[i]))
+            );
+            gasUsed[i] = gasBefore - gasleft();
+
+            if (!success) {
+                // Bubble up the token's revert data so the caller can decode it
+                assembly {
+                    revert(add(returned, 0x20), mload(returned))
+                }
+            }
+            require(returned.length == 0 || abi.decode(returned, (bool)), "DeploySimulator: transfer returned false");
+        }
+
+        bytes memory result = abi.encode(gasUsed);
+        assembly {
+            return(add(result, 0x20), mload(result))
+        }
+    }
+}
@@ -22,25 +22,27 @@ contract ERC20Token is ERC20, AccessControl {
         uint256 initialSupply,
         bool _mintable,
         bool _burnable,
-        bool _pausable
+        bool _pausable,
+        address initialOwner
     ) ERC20(name, symbol) {
         _decimals = decimals_;
         mintable = _mintable;
         burnable = _burnable;
         pausable = _pausable;
 
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        // Roles and supply go to an explicit owner so the token can be created through a CREATE2 factory
+        _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
         
         if (_mintable) {
-            _grantRole(MINTER_ROLE, msg.sender);
+            _grantRole(MINTER_ROLE, initialOwner);
         }
         
         if (_pausable) {
-            _grantRole(PAUSER_ROLE, msg.sender);
+            _grantRole(PAUSER_ROLE, initialOwner);
         }
 
         if (initialSupply > 0) {
-            _mint(msg.sender, initialSupply);
+            _mint(initialOwner, initialSupply);
         }
     }
 
@@ -102,12 +104,12 @@ contract ERC20Token is ERC20, AccessControl {
         emit Unpaused(msg.sender);
     }
 
-    function _beforeTokenTransfer(
+    function _update(
         address from,
         address to,
         uint256 amount
     ) internal virtual override {
-        super._beforeTokenTransfer(from, to, amount);
+        super._update(from, to, amount);
         require(!_paused, "ERC20Pausable: token transfer while paused");
     }
 
@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/// @notice Proxy implementation of ERC20Token: the same feature flags, set by `initialize`
+/// instead of the constructor. Deployed behind a TransparentUpgradeableProxy.
+contract ERC20TokenUpgradeable is
+    ERC20Upgradeable,
+    ERC20BurnableUpgradeable,
+    ERC20PausableUpgradeable,
+    AccessControlUpgradeable
+{
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    uint8 private _decimals;
+    bool public mintable;
+    bool public burnable;
+    bool public pausable;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply,
+        bool _mintable,
+        bool _burnable,
+        bool _pausable,
+        address initialOwner
+    ) public initializer {
+        __ERC20_init(name, symbol);
+        __ERC20Burnable_init();
+        __ERC20Pausable_init();
+        __AccessControl_init();
+
+        _decimals = decimals_;
+        mintable = _mintable;
+        burnable = _burnable;
+        pausable = _pausable;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
+        if (_mintable) {
+            _grantRole(MINTER_ROLE, initialOwner);
+        }
+        if (_pausable) {
+            _grantRole(PAUSER_ROLE, initialOwner);
+        }
+
+        if (initialSupply > 0) {
+            _mint(initialOwner, initialSupply);
+        }
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address to, uint256 amount) public onlyRole(MINTER_ROLE) {
+        require(mintable, "ERC20Token: minting is disabled");
+        _mint(to, amount);
+    }
+
+    function burn(uint256 amount) public virtual override {
+        require(burnable, "ERC20Token: burning is disabled");
+        super.burn(amount);
+    }
+
+    function burnFrom(address account, uint256 amount) public virtual override {
+        require(burnable, "ERC20Token: burning is disabled");
+        super.burnFrom(account, amount);
+    }
+
+    function pause() public onlyRole(PAUSER_ROLE) {
+        require(pausable, "ERC20Token: pausing is disabled");
+        _pause();
+    }
+
+    function unpause() public onlyRole(PAUSER_ROLE) {
+        require(pausable, "ERC20Token: pausing is disabled");
+        _unpause();
+    }
+
+    function _update(address from, address to, uint256 value)
+        internal
+        virtual
+        override(ERC20Upgradeable, ERC20PausableUpgradeable)
+    {
+        super._update(from, to, value);
+    }
+}
+
+/// @notice ERC20TokenUpgradeable for ERC1967 (UUPS) proxies, upgradeable by DEFAULT_ADMIN_ROLE
+contract ERC20TokenUUPS is ERC20TokenUpgradeable, UUPSUpgradeable {
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
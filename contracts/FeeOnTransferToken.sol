@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Test token: every transfer pays a fee to the fee recipient, so the receiver gets
+/// less than the amount sent. Transfers from or to the fee recipient are exempt.
+contract FeeOnTransferToken is ERC20 {
+    uint8 private immutable _decimals;
+    uint16 public immutable feeBps;
+    address public immutable feeRecipient;
+
+    error FeeTooHigh(uint16 feeBps);
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply,
+        uint16 feeBps_,
+        address initialOwner
+    ) ERC20(name, symbol) {
+        if (feeBps_ >= 10_000) {
+            revert FeeTooHigh(feeBps_);
+        }
+        _decimals = decimals_;
+        feeBps = feeBps_;
+        feeRecipient = initialOwner;
+        _mint(initialOwner, initialSupply);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function _update(address from, address to, uint256 value) internal virtual override {
+        bool exempt = from == address(0) || to == address(0) || from == feeRecipient || to == feeRecipient;
+        uint256 fee = exempt ? 0 : (value * feeBps) / 10_000;
+
+        if (fee > 0) {
+            super._update(from, feeRecipient, fee);
+        }
+        super._update(from, to, value - fee);
+    }
+}
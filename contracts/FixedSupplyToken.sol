@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Minimal token: the whole supply is minted once to the owner, with no roles or extensions
+contract FixedSupplyToken is ERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply,
+        address initialOwner
+    ) ERC20(name, symbol) {
+        _decimals = decimals_;
+        _mint(initialOwner, initialSupply);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/// @notice Pull-based airdrop: each account in the Merkle tree can claim its amount once until
+/// the deadline, after which the owner can sweep what is left. Anyone may submit a claim on
+/// behalf of an account; the tokens always go to the account itself.
+contract MerkleDistributor is Ownable {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token;
+    bytes32 public immutable merkleRoot;
+    uint256 public immutable deadline;
+
+    mapping(address => bool) public isClaimed;
+
+    event Claimed(address indexed account, uint256 amount);
+    event Swept(address indexed to, uint256 amount);
+
+    error AlreadyClaimed(address account);
+    error InvalidProof(address account, uint256 amount);
+    error ClaimPeriodEnded(uint256 deadline);
+    error ClaimPeriodActive(uint256 deadline);
+
+    constructor(
+        IERC20 token_,
+        bytes32 merkleRoot_,
+        uint256 deadline_,
+        address initialOwner
+    ) Ownable(initialOwner) {
+        token = token_;
+        merkleRoot = merkleRoot_;
+        deadline = deadline_;
+    }
+
+    function claim(address account, uint256 amount, bytes32[] calldata proof) external {
+        if (block.timestamp > deadline) {
+            revert ClaimPeriodEnded(deadline);
+        }
+        if (isClaimed[account]) {
+            revert AlreadyClaimed(account);
+        }
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, amount))));
+        if (!MerkleProof.verify(proof, merkleRoot, leaf)) {
+            revert InvalidProof(account, amount);
+        }
+
+        isClaimed[account] = true;
+        token.safeTransfer(account, amount);
+        emit Claimed(account, amount);
+    }
+
+    function sweep(address to) external onlyOwner {
+        if (block.timestamp <= deadline) {
+            revert ClaimPeriodActive(deadline);
+        }
+
+        uint256 amount = token.balanceOf(address(this));
+        token.safeTransfer(to, amount);
+        emit Swept(to, amount);
+    }
+}
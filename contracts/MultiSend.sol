@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/// @notice Stateless batch transfer helper for the initial distribution. The caller approves
+/// this contract once and every transfer in a batch is pulled from the caller's balance.
+/// SafeERC20 handles tokens whose transferFrom returns no bool.
+contract MultiSend {
+    using SafeERC20 for IERC20;
+
+    error LengthMismatch(uint256 recipients, uint256 amounts);
+
+    function multiTransfer(IERC20 token, address[] calldata recipients, uint256[] calldata amounts) external {
+        if (recipients.length != amounts.length) {
+            revert LengthMismatch(recipients.length, amounts.length);
+        }
+        for (uint256 i = 0; i < recipients.length; i++) {
+            token.safeTransferFrom(msg.sender, recipients[i], amounts[i]);
+        }
+    }
+}
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @notice Test token in the style of USDT: transfer, transferFrom and approve return nothing
+/// instead of a bool, so callers that decode a return value revert.
+contract NoReturnToken {
+    string public name;
+    string public symbol;
+    uint8 public immutable decimals;
+    uint256 public totalSupply;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    error InsufficientBalance(address account, uint256 balance, uint256 needed);
+    error InsufficientAllowance(address spender, uint256 allowance, uint256 needed);
+    error InvalidAddress(address account);
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint8 decimals_,
+        uint256 initialSupply,
+        address initialOwner
+    ) {
+        name = name_;
+        symbol = symbol_;
+        decimals = decimals_;
+        totalSupply = initialSupply;
+        balanceOf[initialOwner] = initialSupply;
+        emit Transfer(address(0), initialOwner, initialSupply);
+    }
+
+    function transfer(address to, uint256 value) public {
+        _transfer(msg.sender, to, value);
+    }
+
+    function transferFrom(address from, address to, uint256 value) public {
+        uint256 current = allowance[from][msg.sender];
+        if (current != type(uint256).max) {
+            if (current < value) {
+                revert InsufficientAllowance(msg.sender, current, value);
+            }
+            allowance[from][msg.sender] = current - value;
+        }
+        _transfer(from, to, value);
+    }
+
+    function approve(address spender, uint256 value) public {
+        if (spender == address(0)) {
+            revert InvalidAddress(spender);
+        }
+        allowance[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+    }
+
+    function _transfer(address from, address to, uint256 value) internal {
+        if (to == address(0)) {
+            revert InvalidAddress(to);
+        }
+        uint256 balance = balanceOf[from];
+        if (balance < value) {
+            revert InsufficientBalance(from, balance, value);
+        }
+        balanceOf[from] = balance - value;
+        balanceOf[to] += value;
+        emit Transfer(from, to, value);
+    }
+}
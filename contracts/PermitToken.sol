@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+contract PermitToken is ERC20, ERC20Burnable, ERC20Permit, AccessControl {
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    uint8 private _decimals;
+    bool public mintable;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply,
+        bool _mintable,
+        address initialOwner
+    ) ERC20(name, symbol) ERC20Permit(name) {
+        _decimals = decimals_;
+        mintable = _mintable;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
+
+        if (_mintable) {
+            _grantRole(MINTER_ROLE, initialOwner);
+        }
+
+        if (initialSupply > 0) {
+            _mint(initialOwner, initialSupply);
+        }
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address to, uint256 amount) public onlyRole(MINTER_ROLE) {
+        require(mintable, "PermitToken: minting is disabled");
+        _mint(to, amount);
+    }
+}
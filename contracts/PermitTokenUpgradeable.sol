@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/// @notice Proxy implementation of PermitToken. Deployed behind a TransparentUpgradeableProxy.
+contract PermitTokenUpgradeable is
+    ERC20Upgradeable,
+    ERC20BurnableUpgradeable,
+    ERC20PermitUpgradeable,
+    AccessControlUpgradeable
+{
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    uint8 private _decimals;
+    bool public mintable;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply,
+        bool _mintable,
+        address initialOwner
+    ) public initializer {
+        __ERC20_init(name, symbol);
+        __ERC20Burnable_init();
+        __ERC20Permit_init(name);
+        __AccessControl_init();
+
+        _decimals = decimals_;
+        mintable = _mintable;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
+        if (_mintable) {
+            _grantRole(MINTER_ROLE, initialOwner);
+        }
+
+        if (initialSupply > 0) {
+            _mint(initialOwner, initialSupply);
+        }
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address to, uint256 amount) public onlyRole(MINTER_ROLE) {
+        require(mintable, "PermitToken: minting is disabled");
+        _mint(to, amount);
+    }
+}
+
+/// @notice PermitTokenUpgradeable for ERC1967 (UUPS) proxies, upgradeable by DEFAULT_ADMIN_ROLE
+contract PermitTokenUUPS is PermitTokenUpgradeable, UUPSUpgradeable {
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @notice Test token: balances are shares of a total supply that the rebaser can change at
+/// any time, so every holder's balance moves without a transfer. Amounts are converted to
+/// shares with rounding down, so moving a whole balance can leave dust behind.
+contract RebasingToken is IERC20, IERC20Metadata, AccessControl {
+    bytes32 public constant REBASER_ROLE = keccak256("REBASER_ROLE");
+
+    string private _name;
+    string private _symbol;
+    uint8 private immutable _decimals;
+
+    uint256 private _totalSupply;
+    uint256 private _totalShares;
+    mapping(address => uint256) private _shares;
+    mapping(address => mapping(address => uint256)) private _allowances;
+
+    event Rebase(uint256 previousTotalSupply, uint256 newTotalSupply);
+
+    error InsufficientBalance(address account, uint256 balance, uint256 needed);
+    error InsufficientAllowance(address spender, uint256 allowance, uint256 needed);
+    error InvalidAddress(address account);
+    error InvalidRebase(uint256 newTotalSupply);
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint8 decimals_,
+        uint256 initialSupply,
+        address initialOwner
+    ) {
+        _name = name_;
+        _symbol = symbol_;
+        _decimals = decimals_;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
+        _grantRole(REBASER_ROLE, initialOwner);
+
+        // Shares start out one-to-one with tokens
+        _totalSupply = initialSupply;
+        _totalShares = initialSupply;
+        _shares[initialOwner] = initialSupply;
+        emit Transfer(address(0), initialOwner, initialSupply);
+    }
+
+    function name() public view returns (string memory) {
+        return _name;
+    }
+
+    function symbol() public view returns (string memory) {
+        return _symbol;
+    }
+
+    function decimals() public view returns (uint8) {
+        return _decimals;
+    }
+
+    function totalSupply() public view returns (uint256) {
+        return _totalSupply;
+    }
+
+    function balanceOf(address account) public view returns (uint256) {
+        if (_totalShares == 0) {
+            return 0;
+        }
+        return Math.mulDiv(_shares[account], _totalSupply, _totalShares);
+    }
+
+    function sharesOf(address account) public view returns (uint256) {
+        return _shares[account];
+    }
+
+    function allowance(address owner, address spender) public view returns (uint256) {
+        return _allowances[owner][spender];
+    }
+
+    function approve(address spender, uint256 value) public returns (bool) {
+        if (spender == address(0)) {
+            revert InvalidAddress(spender);
+        }
+        _allowances[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+        return true;
+    }
+
+    function transfer(address to, uint256 value) public returns (bool) {
+        _transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 value) public returns (bool) {
+        uint256 current = _allowances[from][msg.sender];
+        if (current != type(uint256).max) {
+            if (current < value) {
+                revert InsufficientAllowance(msg.sender, current, value);
+            }
+            _allowances[from][msg.sender] = current - value;
+        }
+        _transfer(from, to, value);
+        return true;
+    }
+
+    /// @notice Sets a new total supply; every balance scales by the same factor
+    function rebase(uint256 newTotalSupply) public onlyRole(REBASER_ROLE) {
+        if (newTotalSupply == 0 || _totalShares == 0) {
+            revert InvalidRebase(newTotalSupply);
+        }
+        emit Rebase(_totalSupply, newTotalSupply);
+        _totalSupply = newTotalSupply;
+    }
+
+    function _transfer(address from, address to, uint256 value) internal {
+        if (to == address(0)) {
+            revert InvalidAddress(to);
+        }
+
+        uint256 balance = balanceOf(from);
+        if (balance < value) {
+            revert InsufficientBalance(from, balance, value);
+        }
+
+        uint256 shares = _totalSupply == 0 ? 0 : Math.mulDiv(value, _totalShares, _totalSupply);
+        _shares[from] -= shares;
+        _shares[to] += shares;
+        emit Transfer(from, to, value);
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice Test token that reverts on zero-value transfers, as some tokens (e.g. LEND) do
+contract RevertOnZeroToken is ERC20 {
+    uint8 private immutable _decimals;
+
+    error ZeroValueTransfer();
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 initialSupply,
+        address initialOwner
+    ) ERC20(name, symbol) {
+        _decimals = decimals_;
+        _mint(initialOwner, initialSupply);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function _update(address from, address to, uint256 value) internal virtual override {
+        if (value == 0 && from != address(0) && to != address(0)) {
+            revert ZeroValueTransfer();
+        }
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+interface IMintableToken {
+    function mint(address to, uint256 amount) external;
+}
+
+/// @notice Hands out `dripAmount` tokens per address, at most once per `cooldown` seconds.
+/// A minting faucet needs MINTER_ROLE on the token; otherwise it pays out of its own balance,
+/// which the owner can withdraw. Anyone may request a drip on behalf of an address.
+contract TokenFaucet is Ownable {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token;
+    uint256 public immutable dripAmount;
+    uint256 public immutable cooldown;
+    bool public immutable minting;
+
+    mapping(address => uint256) public lastDrip;
+
+    event Dripped(address indexed to, uint256 amount);
+    event Withdrawn(address indexed to, uint256 amount);
+
+    error CooldownActive(address account, uint256 availableAt);
+    error FaucetEmpty(uint256 balance, uint256 needed);
+
+    constructor(
+        IERC20 token_,
+        uint256 dripAmount_,
+        uint256 cooldown_,
+        bool minting_,
+        address initialOwner
+    ) Ownable(initialOwner) {
+        token = token_;
+        dripAmount = dripAmount_;
+        cooldown = cooldown_;
+        minting = minting_;
+    }
+
+    /// @notice First moment `account` can receive a drip (0 if it never has)
+    function nextDripAt(address account) public view returns (uint256) {
+        return lastDrip[account] == 0 ? 0 : lastDrip[account] + cooldown;
+    }
+
+    function drip(address to) external {
+        uint256 availableAt = nextDripAt(to);
+        if (block.timestamp < availableAt) {
+            revert CooldownActive(to, availableAt);
+        }
+        lastDrip[to] = block.timestamp;
+
+        if (minting) {
+            IMintableToken(address(token)).mint(to, dripAmount);
+        } else {
+            uint256 balance = token.balanceOf(address(this));
+            if (balance < dripAmount) {
+                revert FaucetEmpty(balance, dripAmount);
+            }
+            token.safeTransfer(to, dripAmount);
+        }
+        emit Dripped(to, dripAmount);
+    }
+
+    function withdraw(address to) external onlyOwner {
+        uint256 amount = token.balanceOf(address(this));
+        token.safeTransfer(to, amount);
+        emit Withdrawn(to, amount);
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/finance/VestingWalletCliff.sol";
+
+/// @notice Linear vesting from `startTimestamp` over `durationSeconds`, with nothing releasable
+/// before the cliff. The beneficiary owns the wallet; anyone can trigger a release to it.
+contract TokenVestingWallet is VestingWalletCliff {
+    constructor(
+        address beneficiary,
+        uint64 startTimestamp,
+        uint64 durationSeconds,
+        uint64 cliffSeconds
+    ) VestingWallet(beneficiary, startTimestamp, durationSeconds) VestingWalletCliff(cliffSeconds) {}
+}
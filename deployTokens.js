@@ -1,254 +1,1730 @@
 // deployTokens.js - Main ERC20 deployment script
 const { ethers } = require('ethers');
-const solc = require('solc');
 const fs = require('fs');
 const path = require('path');
+const DeploymentState = require('./lib/deploymentState');
+const FeeStrategy = require('./lib/feeStrategy');
+const create2 = require('./lib/create2');
+const networks = require('./lib/networks');
+const AddressBook = require('./lib/addressBook');
+const templates = require('./lib/templates');
+const compiler = require('./lib/compiler');
+const signers = require('./lib/signers');
+const offline = require('./lib/offline');
+const upgrades = require('./lib/upgrades');
+const { matchesDeployedBytecode } = require('./lib/bytecode');
+const audit = require('./lib/audit');
+const roles = require('./lib/roles');
+const holders = require('./lib/holders');
+const airdrop = require('./lib/airdrop');
+const time = require('./lib/time');
+const vesting = require('./lib/vesting');
+const faucets = require('./lib/faucet');
+const { SpendLimitError } = FeeStrategy;
+const { TransactionPipeline } = require('./lib/pipeline');
+const TransactionWaiter = require('./lib/confirmations');
+const tokenConfig = require('./lib/config');
 require('dotenv').config();
 
+// Rough per-transaction costs of a batched distribution that cannot be simulated up front
+// (the multi-send call around each transfer, and the approval); the estimate buffer covers the slack
+const MULTISEND_GAS_PER_TRANSFER = 12000n;
+const APPROVE_GAS = 60000n;
+
+// Granting the faucet MINTER_ROLE, or any role change of the hand-over, estimated before the
+// token exists
+const GRANT_ROLE_GAS = 60000n;
+
+// The simulation measures a plain token; through a proxy each call also pays for the delegatecall
+// and the implementation slot
+const PROXY_CALL_GAS = 8000n;
+
+// Transfers per simulation eth_call
+const SIMULATION_SLICE = 200;
+
+// Stand in for the airdrop distributor and faucet, whose addresses are not known before they are deployed
+const AIRDROP_PLACEHOLDER = '0x000000000000000000000000000000000000dEaD';
+const FAUCET_PLACEHOLDER = '0x000000000000000000000000000000000000bEEF';
+
 class TokenDeployer {
-  constructor() {
-    this.validateEnvironment();
-    this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+  constructor(options = {}) {
+    // Exporting unsigned transactions, or broadcasting signed ones, instead of sending
+    this.exportPath = options.exportPath || null;
+    this.broadcastPath = options.broadcastPath || null;
+    // Symbols whose deployment this run sent outside deployToken (a broadcast or the pipeline), so
+    // they are not redeployed with --force or listed as existing
+    this.deployedThisRun = new Set();
+    // Only checking tokens.json (the validate command), which needs neither a signer nor the network
+    this.validateOnly = options.validateOnly || false;
+    if (!this.validateOnly) {
+      this.validateEnvironment();
+    }
+    // RPC_URL is optional when tokens.json has a "networks" section
+    this.provider = process.env.RPC_URL && !this.validateOnly ? networks.connect(process.env.RPC_URL) : null;
+    // Loaded in deploy(), since a keystore may prompt for its password
+    this.wallet = null;
+    this.force = options.force || false;
+    this.dryRun = options.dryRun || false;
+    this.networks = options.networks || [];
+    // Transactions in flight at once; above 1 deployments and transfers are pipelined
+    this.concurrency = options.concurrency || null;
     this.deployments = [];
-    this.contractBytecode = null;
-    this.contractABI = null;
+    this.failures = [];
+    this.failedAudits = [];
+    this.state = null;
+    this.fees = null;
+    this.waiter = null;
+    this.artifacts = {};
+  }
+
+  // Checks the signer settings (see lib/signers.js) without unlocking a keystore or going to the network.
+  // Exports only need the deployer's address, and broadcasts take it from the signed file.
+  validateEnvironment() {
+    try {
+      if (this.exportPath) {
+        this.exportAddress();
+      } else if (!this.broadcastPath) {
+        signers.validateSignerConfig();
+      }
+    } catch (error) {
+      console.error(error.message);
+      console.log('Please copy .env.example to .env and fill in your values');
+      process.exit(1);
+    }
+  }
+
+  // The account exported transactions are built for: DEPLOYER_ADDRESS, or the configured signer's
+  exportAddress() {
+    if (process.env.DEPLOYER_ADDRESS) {
+      if (!ethers.isAddress(process.env.DEPLOYER_ADDRESS)) {
+        throw new Error(`Invalid DEPLOYER_ADDRESS: ${process.env.DEPLOYER_ADDRESS}`);
+      }
+      return ethers.getAddress(process.env.DEPLOYER_ADDRESS);
+    }
+    const missing = '--export needs DEPLOYER_ADDRESS, the account that will sign the transactions';
+    let address;
+    try {
+      ({ address } = signers.validateSignerConfig());
+    } catch (error) {
+      throw new Error(`${missing}. ${error.message}`);
+    }
+    if (!address) {
+      throw new Error(missing);
+    }
+    return address;
+  }
+
+  // Compiles the given contracts in one solc run; each entry names a file in contracts/ and the contract in it
+  async compileContracts(contracts) {
+    console.log(`Compiling ${contracts.map(c => c.contract).join(', ')}...`);
+
+    let artifacts;
+    try {
+      artifacts = compiler.compile(contracts);
+    } catch (error) {
+      if (!error.compilerErrors) {
+        throw error;
+      }
+      console.error('Compilation errors:');
+      error.compilerErrors.forEach(err => console.error(err.formattedMessage));
+      process.exit(1);
+    }
+    Object.assign(this.artifacts, artifacts);
+
+    // The exact compiler input, for verifying the contracts later
+    const buildInfo = compiler.saveBuildInfo(Object.values(artifacts)[0].build);
+    console.log(`✓ Contracts compiled successfully (solc ${compiler.compilerVersion()})`);
+    console.log(`  Build info: ${path.relative(__dirname, buildInfo)}\n`);
+  }
+
+  saveABI(contractName) {
+    const deploymentDir = path.join(__dirname, 'deployments');
+    if (!fs.existsSync(deploymentDir)) {
+      fs.mkdirSync(deploymentDir, { recursive: true });
+    }
+
+    const abiPath = path.join(deploymentDir, `${contractName}.abi.json`);
+    fs.writeFileSync(abiPath, JSON.stringify(this.artifacts[contractName].abi, null, 2));
+  }
+
+  // The contract whose code and ABI the token has: its implementation when behind a proxy
+  getArtifact(token) {
+    const template = templates.getTemplate(token.template);
+    return this.artifacts[token.proxy ? templates.implementation(template, token.proxy).contract : template.contract];
+  }
+
+  // The template's own contract, deployed directly (and in the cost simulation of proxied tokens)
+  getContractArtifact(token) {
+    return this.artifacts[templates.getTemplate(token.template).contract];
+  }
+
+  async loadTokenConfig() {
+    const configPath = tokenConfig.defaultConfigPath(__dirname);
+    
+    if (!fs.existsSync(configPath)) {
+      console.error(`Token configuration file not found: ${configPath}`);
+      console.log('Please create a tokens.json file with your token configurations');
+      process.exit(1);
+    }
+
+    const { config, errors, warnings } = this.checkTokenConfig(configPath, this.wallet.address);
+    printWarnings(warnings);
+    if (errors.length > 0) {
+      throw new Error(`Invalid token configuration ${configPath}:\n${tokenConfig.formatProblems(errors)}`);
+    }
+
+    return config;
+  }
+
+  // Reads the config and collects every problem in it as { path, message }. The schema comes
+  // first: the checks after it assume well-formed fields. `deployer` may be null when no signer
+  // is configured (the validate command).
+  checkTokenConfig(configPath, deployer) {
+    const config = tokenConfig.loadConfigFile(configPath);
+    const errors = tokenConfig.checkSchema(config);
+    if (errors.length > 0) {
+      return { config, errors, warnings: [] };
+    }
+    const { errors: tokenErrors, warnings } = tokenConfig.checkTokens(config);
+    errors.push(...tokenErrors);
+
+    const check = (where, validate) => {
+      try {
+        validate();
+      } catch (error) {
+        errors.push({ path: where, message: error.message });
+      }
+    };
+    config.tokens.forEach((token, i) => check(`tokens[${i}]`, () => {
+      // Holders from a CSV file join the inline ones, so the config hash covers them too
+      if (token.holdersFile) {
+        token.initialHolders = holders.resolveHolders(token, path.dirname(configPath));
+      }
+      if (token.airdrop) {
+        token.airdrop = {
+          ...token.airdrop,
+          recipients: airdrop.resolveRecipients(token.airdrop, path.dirname(configPath))
+        };
+      }
+      this.validateTokenConfig(this.applyDefaults(token, config), deployer);
+    }));
+    check('networks', () => networks.validateNetworks(config));
+    // Gas and confirmation settings of every network, .env included, so a typo does not surface halfway through a run
+    const sections = [['', {}], ...Object.entries(config.networks || {}).map(([name, network]) => [`networks.${name}.`, network])];
+    for (const [prefix, network] of sections) {
+      check(`${prefix}gas`, () => new FeeStrategy(null, FeeStrategy.resolveOptions({ ...config.gas, ...network.gas })));
+      check(`${prefix}transactions`, () => TransactionWaiter.parseOptions(TransactionWaiter.resolveOptions({ ...config.transactions, ...network.transactions })));
+    }
+
+    return { config, errors, warnings };
+  }
+
+  validateTokenConfig(token, deployer = this.wallet.address) {
+    const required = ['name', 'symbol', 'decimals', 'initialSupply'];
+    const missing = required.filter(key => token[key] === undefined);
+    
+    if (missing.length > 0) {
+      throw new Error(`Token ${token.name || 'unnamed'} missing required fields: ${missing.join(', ')}`);
+    }
+
+    // Decimals are limited per template
+    templates.validateTemplateConfig(token);
+    roles.validateRoleConfig(token, deployer);
+
+    if (token.airdrop) {
+      airdrop.validateAirdrop(token);
+    }
+    if (token.faucet) {
+      faucets.validateFaucet(token);
+    }
+    const reserved = (token.airdrop ? airdrop.totalAmount(token) : 0n) + faucets.reservedAmount(token);
+    holders.validateHolders(token, reserved);
+    vesting.validateVesting(token);
+
+    if (token.batchSize !== undefined && (!Number.isInteger(token.batchSize) || token.batchSize < 1)) {
+      throw new Error(`Token ${token.name} has invalid batchSize: ${token.batchSize}. Must be a positive integer`);
+    }
+  }
+
+  getConstructorArgs(token, owner = this.wallet.address) {
+    return templates.constructorArgs(templates.getTemplate(token.template), token, owner);
+  }
+
+  // Plain CREATE deployment, or a call to the CREATE2 factory for deterministic tokens
+  async getDeployTransaction(token, owner = this.wallet.address) {
+    const artifact = this.getContractArtifact(token);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, this.wallet);
+    const deployTx = await factory.getDeployTransaction(...this.getConstructorArgs(token, owner));
+
+    if (token.deterministic) {
+      return create2.buildDeploymentTx(token.salt, deployTx.data);
+    }
+    return deployTx;
+  }
+
+  async estimateGas(token) {
+    try {
+      return await this.fees.deploymentGasLimit(
+        async () => this.wallet.estimateGas(await this.getDeployTransaction(token))
+      );
+    } catch (error) {
+      throw new Error(`Failed to estimate gas for ${token.name}: ${this.describeError(error, token)}`);
+    }
+  }
+
+  // Deploys the token and runs its initial transfers inside eth_call, returning the gas of each step
+  async simulateToken(token, alreadyDeployed = false) {
+    // Before the factory exists the CREATE2 call cannot be estimated; a plain deployment is close enough
+    const viaFactory = token.deterministic && await create2.isFactoryDeployed(this.provider);
+    let deployGas = 0n;
+    if (!alreadyDeployed) {
+      deployGas = token.proxy
+        ? await this.estimateProxyDeploymentGas(token)
+        : await this.wallet.estimateGas(await this.getDeployTransaction({ ...token, deterministic: viaFactory }));
+    }
+
+    // Funding the airdrop distributor and a funded faucet are further transfers after the initial holders
+    const fundings = [];
+    if (token.airdrop) {
+      fundings.push({ name: 'airdrop', address: AIRDROP_PLACEHOLDER, amount: airdrop.totalAmount(token) });
+    }
+    if (faucets.reservedAmount(token) > 0n) {
+      fundings.push({ name: 'faucet', address: FAUCET_PLACEHOLDER, amount: faucets.reservedAmount(token) });
+    }
+
+    const initialHolders = token.initialHolders || [];
+    if (initialHolders.length === 0 && fundings.length === 0) {
+      return { deployGas, transferGas: [], executionGas: [], fundingGas: {} };
+    }
+
+    const recipients = [...initialHolders.map(holder => holder.address), ...fundings.map(funding => funding.address)];
+    const amounts = [
+      ...initialHolders.map(holder => ethers.parseUnits(holder.amount, token.decimals)),
+      ...fundings.map(funding => funding.amount)
+    ];
+
+    // The simulated token must hand its supply to the simulator, which eth_call creates at the
+    // address a real deployment from this account would get next
+    const simulatorAddress = ethers.getCreateAddress({
+      from: this.wallet.address,
+      nonce: await this.provider.getTransactionCount(this.wallet.address)
+    });
+    const artifact = this.getContractArtifact(token);
+    const tokenFactory = new ethers.ContractFactory(artifact.abi, artifact.bytecode);
+    const tokenDeployTx = await tokenFactory.getDeployTransaction(...this.getConstructorArgs(token, simulatorAddress));
+
+    // Each simulation starts from a fresh token, so long holder lists are run in slices to stay
+    // under the node's eth_call gas cap
+    const { abi, bytecode } = this.artifacts.DeploySimulator;
+    const simulator = new ethers.ContractFactory(abi, bytecode);
+    const measured = [];
+    for (const slice of holders.chunk([...recipients.keys()], SIMULATION_SLICE)) {
+      const simulation = await simulator.getDeployTransaction(
+        tokenDeployTx.data,
+        slice.map(i => recipients[i]),
+        slice.map(i => amounts[i])
+      );
+      const result = await this.provider.call({ from: this.wallet.address, data: simulation.data });
+      const gas = ethers.AbiCoder.defaultAbiCoder().decode(['uint256[]'], result)[0];
+      measured.push(...gas.map(used => (token.proxy ? used + PROXY_CALL_GAS : used)));
+    }
+
+    // The simulator measures execution only; add the intrinsic cost of a standalone transfer tx.
+    // Storage written by the constructor is still warm inside the simulation, so these figures
+    // run slightly below a real transfer - the estimate buffer absorbs the difference.
+    const tokenInterface = new ethers.Interface(artifact.abi);
+    const transferGas = measured.map((gas, i) => {
+      const data = tokenInterface.encodeFunctionData('transfer', [recipients[i], amounts[i]]);
+      return gas + this.intrinsicGas(data);
+    });
+
+    const count = initialHolders.length;
+    const fundingGas = {};
+    fundings.forEach((funding, i) => {
+      fundingGas[funding.name] = transferGas[count + i];
+    });
+    return {
+      deployGas,
+      transferGas: transferGas.slice(0, count),
+      executionGas: measured.slice(0, count),
+      fundingGas
+    };
+  }
+
+  // The implementation can be estimated directly. The proxy cannot before the implementation
+  // exists, so the plain token deployment stands in for it: the initializer writes what the
+  // constructor would, and the proxy's code is smaller than the token's.
+  async estimateProxyDeploymentGas(token) {
+    const { abi, bytecode } = this.getArtifact(token);
+    const implementationTx = await new ethers.ContractFactory(abi, bytecode, this.wallet).getDeployTransaction();
+    const implementationGas = await this.wallet.estimateGas(implementationTx);
+    const proxyGas = await this.wallet.estimateGas(await this.getDeployTransaction({ ...token, deterministic: false }));
+    return implementationGas + proxyGas;
+  }
+
+  getDistributorDeployTransaction(tokenAddress, token) {
+    const { abi, bytecode } = this.artifacts.MerkleDistributor;
+    const { merkleRoot } = airdrop.buildClaims(token);
+    const deadline = time.parseTimestamp(token.airdrop.deadline);
+    return new ethers.ContractFactory(abi, bytecode, this.wallet)
+      .getDeployTransaction(tokenAddress, merkleRoot, deadline, this.wallet.address);
+  }
+
+  getFaucetDeployTransaction(tokenAddress, token) {
+    const { abi, bytecode } = this.artifacts.TokenFaucet;
+    return new ethers.ContractFactory(abi, bytecode, this.wallet)
+      .getDeployTransaction(...faucets.constructorArgs(token, tokenAddress, this.wallet.address));
+  }
+
+  getVestingWalletDeployTransaction(holder) {
+    const { abi, bytecode } = this.artifacts.TokenVestingWallet;
+    return new ethers.ContractFactory(abi, bytecode, this.wallet).getDeployTransaction(...vesting.walletArgs(holder));
+  }
+
+  // Gas of each transaction of a batched distribution: the approval, then one multi-send call per chunk
+  batchedDistributionGas(token, executionGas) {
+    const chunkGas = holders.chunk(executionGas, token.batchSize).map(chunk =>
+      chunk.reduce((sum, gas) => sum + gas + MULTISEND_GAS_PER_TRANSFER, 21000n)
+    );
+    return [APPROVE_GAS, ...chunkGas];
+  }
+
+  // Decodes custom errors from the token contract (e.g. ERC20InsufficientBalance) when possible
+  describeError(error, token) {
+    if (error.data && error.data !== '0x') {
+      const parsed = new ethers.Interface(this.getArtifact(token).abi).parseError(error.data);
+      if (parsed) {
+        return `${parsed.name}(${parsed.args.join(', ')})`;
+      }
+    }
+    // Node rejections ethers cannot classify (e.g. "nonce too high") keep the node's message inside
+    if (error.code === 'UNKNOWN_ERROR' && error.error && error.error.message) {
+      return error.error.message;
+    }
+    return error.shortMessage || error.message;
+  }
+
+  intrinsicGas(data) {
+    const bytes = ethers.getBytes(data);
+    const zeroBytes = bytes.filter(b => b === 0).length;
+    return 21000n + BigInt(zeroBytes) * 4n + BigInt(bytes.length - zeroBytes) * 16n;
+  }
+
+  // Estimates every deployment and transfer and compares the total cost with the deployer balance
+  async previewCosts(tokens, networkInfo) {
+    console.log('Estimating deployment costs...');
+
+    const gasPrice = FeeStrategy.maxPricePerGas(await this.fees.getFeeFields());
+    console.log(`  Max price per gas: ${ethers.formatUnits(gasPrice, 'gwei')} gwei\n`);
+
+    const preview = { tokens: [], totalCost: 0n, errors: [] };
+
+    // A missing CREATE2 factory is deployed once by funding its presigned deployment tx
+    const factoryDeployed = await create2.isFactoryDeployed(this.provider);
+    if (this.needsCreate2Factory(tokens) && !factoryDeployed) {
+      console.log(`  CREATE2 factory: ${ethers.formatEther(create2.FACTORY_DEPLOYMENT_COST)} ETH (not yet deployed on this chain)`);
+      preview.totalCost += create2.FACTORY_DEPLOYMENT_COST;
+    }
+
+    // So is the multi-send helper, through the factory
+    if (tokens.some(token => this.isBatched(token)) && (await this.provider.getCode(this.multiSendAddress())) === '0x') {
+      const { bytecode } = this.artifacts.MultiSend;
+      const deployTx = factoryDeployed
+        ? create2.buildDeploymentTx(ethers.ZeroHash, `0x${bytecode}`)
+        : { data: `0x${bytecode}` };
+      const gasLimit = await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(deployTx));
+      const cost = gasLimit * gasPrice;
+      console.log(`  Multi-send helper: ${ethers.formatEther(cost)} ETH (not yet deployed on this chain)`);
+      preview.totalCost += cost;
+    }
+
+    for (const token of tokens) {
+      const previous = this.force ? null : this.state.get(token.symbol);
+      if (previous && previous.status === 'complete' &&
+          previous.configHash === DeploymentState.hashTokenConfig(token)) {
+        console.log(`  ${token.symbol}: already deployed at ${previous.address} - no cost`);
+        continue;
+      }
+
+      try {
+        // A deterministic token already at its predicted address only needs its transfers
+        let deployed = false;
+        if (token.deterministic) {
+          const predicted = await this.predictDeterministicAddress(token);
+          deployed = await this.isDeterministicDeployment(predicted, token);
+        }
+
+        const { deployGas, transferGas, executionGas, fundingGas } = await this.simulateToken(token, deployed);
+        const batched = this.isBatched(token);
+        const distributionGas = batched ? this.batchedDistributionGas(token, executionGas) : transferGas;
+
+        // Use the same gas limits as the real deployment
+        const gasLimits = [
+          deployed ? 0n : await this.fees.deploymentGasLimit(async () => deployGas),
+          ...distributionGas.map(gas => this.fees.applyBuffer(gas))
+        ];
+
+        // Vested allocations are transferred to wallets that do not exist yet, so the simulated
+        // transfers go to the beneficiaries instead; only the wallet deployments are extra
+        const vestingGas = [];
+        for (const index of vesting.vestedIndices(token)) {
+          const walletTx = await this.getVestingWalletDeployTransaction(token.initialHolders[index]);
+          vestingGas.push(await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(walletTx)));
+        }
+
+        let airdropGas = [];
+        if (token.airdrop) {
+          const distributorTx = await this.getDistributorDeployTransaction(AIRDROP_PLACEHOLDER, token);
+          airdropGas = [
+            await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(distributorTx)),
+            this.fees.applyBuffer(fundingGas.airdrop)
+          ];
+        }
+
+        // A faucet is either funded by a transfer or granted MINTER_ROLE
+        let faucetGas = [];
+        if (token.faucet) {
+          const faucetTx = await this.getFaucetDeployTransaction(FAUCET_PLACEHOLDER, token);
+          faucetGas = [
+            await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(faucetTx)),
+            this.fees.applyBuffer(fundingGas.faucet || GRANT_ROLE_GAS)
+          ];
+        }
+
+        // The role hand-over comes last, one grantRole or renounceRole per change
+        const plan = roles.planHandoff(token, this.wallet.address);
+        const roleGas = [...plan.grants, ...plan.renounce].map(() => this.fees.applyBuffer(GRANT_ROLE_GAS));
+
+        const totalGas = [...gasLimits, ...vestingGas, ...airdropGas, ...faucetGas, ...roleGas].reduce((sum, gas) => sum + gas, 0n);
+        const cost = totalGas * gasPrice;
+
+        console.log(`  ${token.symbol}: ${ethers.formatEther(cost)} ETH`);
+        console.log(deployed
+          ? '    Deployment gas: 0 (already at its predicted address)'
+          : `    Deployment gas: ${gasLimits[0]}`);
+        if (batched) {
+          const distribution = gasLimits.slice(1).reduce((sum, gas) => sum + gas, 0n);
+          console.log(`    Batched distribution: ${transferGas.length} transfers in ${distributionGas.length - 1} chunk(s), gas: ${distribution}`);
+        } else {
+          transferGas.forEach((gas, i) => {
+            console.log(`    Transfer to ${token.initialHolders[i].address} gas: ${gasLimits[i + 1]}`);
+          });
+        }
+        if (vestingGas.length > 0) {
+          console.log(`    Vesting wallets: ${vestingGas.length}, gas: ${vestingGas.reduce((sum, gas) => sum + gas, 0n)}`);
+        }
+        if (token.airdrop) {
+          console.log(`    Airdrop to ${token.airdrop.recipients.length} recipients: distributor gas ${airdropGas[0]}, funding gas ${airdropGas[1]}`);
+        }
+        if (token.faucet) {
+          const supply = faucets.parseFaucet(token).minting ? 'minter role' : 'funding';
+          console.log(`    Faucet: deployment gas ${faucetGas[0]}, ${supply} gas ${faucetGas[1]}`);
+        }
+        if (roleGas.length > 0) {
+          console.log(`    Role hand-over: ${plan.grants.length} grant(s), ${plan.renounce.length} renounce(s), gas: ${roleGas.reduce((sum, gas) => sum + gas, 0n)}`);
+        }
+
+        preview.tokens.push({ symbol: token.symbol, gas: totalGas, cost });
+        preview.totalCost += cost;
+      } catch (error) {
+        console.error(`  ✗ ${token.symbol}: simulation failed - ${this.describeError(error, token)}`);
+        preview.errors.push({ symbol: token.symbol, error: this.describeError(error, token) });
+      }
+    }
+
+    preview.shortfall = preview.totalCost > networkInfo.deployerBalanceWei
+      ? preview.totalCost - networkInfo.deployerBalanceWei
+      : 0n;
+
+    console.log(`\n  Total cost: ${ethers.formatEther(preview.totalCost)} ETH`);
+    console.log(`  Deployer balance: ${networkInfo.deployerBalance} ETH`);
+    if (preview.shortfall > 0n) {
+      console.log(`  ✗ Insufficient funds: short by ${ethers.formatEther(preview.shortfall)} ETH`);
+    } else {
+      console.log('  ✓ Balance covers the estimated cost');
+    }
+    if (this.fees.maxTotalSpend !== null && preview.totalCost > this.fees.maxTotalSpend) {
+      console.log(`  ⚠ Exceeds spend cap of ${ethers.formatEther(this.fees.maxTotalSpend)} ETH - the batch will stop early`);
+    }
+    console.log('');
+
+    return preview;
+  }
+
+  // Builds every transaction of the batch with explicit nonces, chain ID and fees and writes
+  // them, unsigned, to the export file. Contract addresses follow from the deployer's nonces,
+  // so later transactions can already refer to them; gas comes from the same simulations as
+  // the dry run. Previous deployment state is not consulted: the file deploys the whole batch.
+  async exportTransactions(tokens, networkName, networkInfo) {
+    const from = this.wallet.address;
+    const feeFields = await this.fees.getFeeFields();
+    let nonce = await this.provider.getTransactionCount(from, 'pending');
+    const transactions = [];
+
+    // Appends a transaction and returns the address a contract created by it would get
+    const add = (entry, tx, gasLimit) => {
+      transactions.push({
+        ...entry,
+        tx: offline.serializeTx({
+          to: tx.to,
+          data: tx.data,
+          value: tx.value || 0n,
+          chainId: BigInt(networkInfo.chainId),
+          nonce,
+          gasLimit,
+          ...feeFields
+        })
+      });
+      return ethers.getCreateAddress({ from, nonce: nonce++ });
+    };
+
+    console.log('Building transactions...');
+
+    // Deterministic tokens and the multi-send helper are created through the CREATE2 factory. A
+    // missing factory comes from a presigned transaction, which the broadcast sends once the
+    // exported one has funded its sender. Until then calls to it cannot be estimated, so plain
+    // deployments stand in, as in simulateToken.
+    const factoryDeployed = await create2.isFactoryDeployed(this.provider);
+    const multiSendAddress = this.multiSendAddress();
+    let multiSendDeployed = (await this.provider.getCode(multiSendAddress)) !== '0x';
+    const needsFactory = tokens.some(token => token.deterministic) || (!multiSendDeployed && tokens.some(token => this.isBatched(token)));
+    if (needsFactory && !factoryDeployed) {
+      const balance = await this.provider.getBalance(create2.FACTORY_DEPLOYER);
+      add(
+        { description: `Fund the deployment of the CREATE2 factory at ${create2.FACTORY_ADDRESS}`, step: 'create2Factory' },
+        { to: create2.FACTORY_DEPLOYER, value: balance < create2.FACTORY_DEPLOYMENT_COST ? create2.FACTORY_DEPLOYMENT_COST - balance : 0n },
+        21000n
+      );
+    }
+
+    for (const token of tokens) {
+      const symbol = token.symbol;
+      const configHash = DeploymentState.hashTokenConfig(token);
+      const { deployGas, transferGas, executionGas, fundingGas } = await this.simulateToken(token);
+
+      let tokenAddress;
+      if (token.deterministic) {
+        tokenAddress = await this.predictDeterministicAddress(token);
+        if (await this.isDeterministicDeployment(tokenAddress, token)) {
+          throw new Error(`${symbol} is already deployed at its predicted address ${tokenAddress}, so the export cannot deploy it`);
+        }
+        add(
+          { description: `Deploy ${symbol} at ${tokenAddress} (CREATE2)`, step: 'deploy', symbol, configHash, address: tokenAddress },
+          await this.getDeployTransaction(token),
+          await this.fees.deploymentGasLimit(async () => deployGas)
+        );
+      } else if (token.proxy) {
+        // The simulated deployment gas covers the implementation plus the proxy (see estimateProxyDeploymentGas)
+        const artifact = this.getArtifact(token);
+        const implementationTx = await new ethers.ContractFactory(artifact.abi, artifact.bytecode).getDeployTransaction();
+        const implementationGas = await this.wallet.estimateGas(implementationTx);
+        const implementation = add(
+          { description: `Deploy ${symbol} implementation`, step: 'implementation', symbol },
+          implementationTx,
+          await this.fees.deploymentGasLimit(async () => implementationGas)
+        );
+        const proxyArtifact = this.artifacts[upgrades.PROXY_CONTRACTS[token.proxy].contract];
+        const initData = upgrades.initializeData(artifact, this.getConstructorArgs(token));
+        tokenAddress = add(
+          { description: `Deploy ${symbol} (${token.proxy} proxy)`, step: 'deploy', symbol, configHash },
+          await new ethers.ContractFactory(proxyArtifact.abi, proxyArtifact.bytecode)
+            .getDeployTransaction(...upgrades.proxyArgs(token.proxy, implementation, from, initData)),
+          await this.fees.deploymentGasLimit(async () => deployGas - implementationGas)
+        );
+      } else {
+        tokenAddress = add(
+          { description: `Deploy ${symbol}`, step: 'deploy', symbol, configHash },
+          await this.getDeployTransaction(token),
+          await this.fees.deploymentGasLimit(async () => deployGas)
+        );
+      }
+      const tokenInterface = new ethers.Interface(this.getArtifact(token).abi);
+      const call = (method, args) => ({ to: tokenAddress, data: tokenInterface.encodeFunctionData(method, args) });
+      const recipients = (token.initialHolders || []).map(holder => holder.address);
+
+      for (const index of vesting.vestedIndices(token)) {
+        const holder = token.initialHolders[index];
+        const walletTx = await this.getVestingWalletDeployTransaction(holder);
+        recipients[index] = add(
+          { description: `Deploy ${symbol} vesting wallet for ${holder.address}`, step: 'vestingWallet', symbol, index },
+          walletTx,
+          await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(walletTx))
+        );
+      }
+
+      if (this.isBatched(token)) {
+        const { abi, bytecode } = this.artifacts.MultiSend;
+        if (!multiSendDeployed) {
+          const multiSendTx = create2.buildDeploymentTx(ethers.ZeroHash, `0x${bytecode}`);
+          add(
+            { description: `Deploy multi-send helper at ${multiSendAddress} (CREATE2)`, step: 'multiSend' },
+            multiSendTx,
+            await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(factoryDeployed ? multiSendTx : { data: `0x${bytecode}` }))
+          );
+          multiSendDeployed = true;
+        }
+
+        // The token is new, so a single approval of the whole distribution covers every chunk
+        const amounts = token.initialHolders.map(holder => ethers.parseUnits(holder.amount, token.decimals));
+        const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+        const [approveGas, ...chunkGas] = this.batchedDistributionGas(token, executionGas);
+        add(
+          { description: `Approve ${ethers.formatUnits(total, token.decimals)} ${symbol} for the multi-send helper`, step: 'approve', symbol },
+          call('approve', [multiSendAddress, total]),
+          this.fees.applyBuffer(approveGas)
+        );
+
+        const multiSendInterface = new ethers.Interface(abi);
+        const chunks = holders.chunk([...token.initialHolders.keys()], token.batchSize);
+        for (const [n, chunk] of chunks.entries()) {
+          add(
+            { description: `Send chunk ${n + 1}/${chunks.length} of ${symbol} (${chunk.length} transfers)`, step: 'chunk', symbol, indices: chunk },
+            {
+              to: multiSendAddress,
+              data: multiSendInterface.encodeFunctionData('multiTransfer', [
+                tokenAddress, chunk.map(index => recipients[index]), chunk.map(index => amounts[index])
+              ])
+            },
+            this.fees.applyBuffer(chunkGas[n])
+          );
+        }
+      } else {
+        for (const [index, holder] of (token.initialHolders || []).entries()) {
+          add(
+            { description: `Transfer ${holder.amount} ${symbol} to ${recipients[index]}`, step: 'transfer', symbol, index },
+            call('transfer', [recipients[index], ethers.parseUnits(holder.amount, token.decimals)]),
+            this.fees.applyBuffer(transferGas[index])
+          );
+        }
+      }
+
+      if (token.airdrop) {
+        const deadline = time.parseTimestamp(token.airdrop.deadline);
+        if (deadline <= (await this.provider.getBlock('latest')).timestamp) {
+          throw new Error(`Airdrop deadline of ${symbol} ${time.toISOString(deadline)} has already passed`);
+        }
+        const { merkleRoot, total } = airdrop.buildClaims(token);
+        const distributorTx = await this.getDistributorDeployTransaction(tokenAddress, token);
+        const distributor = add(
+          { description: `Deploy ${symbol} airdrop distributor`, step: 'airdrop', symbol, merkleRoot },
+          distributorTx,
+          await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(distributorTx))
+        );
+        add(
+          { description: `Fund ${symbol} airdrop distributor`, step: 'fund', symbol },
+          call('transfer', [distributor, total]),
+          this.fees.applyBuffer(fundingGas.airdrop)
+        );
+      }
+
+      if (token.faucet) {
+        const { fund, minting } = faucets.parseFaucet(token);
+        const faucetTx = await this.getFaucetDeployTransaction(tokenAddress, token);
+        const faucet = add(
+          { description: `Deploy ${symbol} faucet`, step: 'faucet', symbol },
+          faucetTx,
+          await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(faucetTx))
+        );
+        add(
+          minting
+            ? { description: `Grant MINTER_ROLE on ${symbol} to the faucet`, step: 'role', symbol }
+            : { description: `Fund ${symbol} faucet`, step: 'fund', symbol },
+          minting ? call('grantRole', [roles.roleHash('MINTER_ROLE'), faucet]) : call('transfer', [faucet, fund]),
+          this.fees.applyBuffer(minting ? GRANT_ROLE_GAS : fundingGas.faucet)
+        );
+      }
+
+      const plan = roles.planHandoff(token, from);
+      for (const { role, account } of plan.grants) {
+        add(
+          { description: `Grant ${role} on ${symbol} to ${account}`, step: 'role', symbol },
+          call('grantRole', [roles.roleHash(role), account]),
+          this.fees.applyBuffer(GRANT_ROLE_GAS)
+        );
+      }
+      for (const role of plan.renounce) {
+        add(
+          { description: `Renounce deployer's ${role} on ${symbol}`, step: 'role', symbol },
+          call('renounceRole', [roles.roleHash(role), from]),
+          this.fees.applyBuffer(GRANT_ROLE_GAS)
+        );
+      }
+      console.log(`  ${symbol}: ${transactions.filter(entry => entry.symbol === symbol).length} transaction(s), token at ${tokenAddress}`);
+    }
+
+    const totalCost = transactions.reduce((sum, entry) => sum + offline.maxCost(entry.tx), 0n);
+    if (this.fees.maxTotalSpend !== null && totalCost > this.fees.maxTotalSpend) {
+      throw new SpendLimitError(
+        `Exported transactions may cost up to ${ethers.formatEther(totalCost)} ETH (cap ${ethers.formatEther(this.fees.maxTotalSpend)} ETH)`
+      );
+    }
+
+    offline.saveFile(this.exportPath, {
+      network: networkName,
+      chainId: networkInfo.chainId,
+      from,
+      createdAt: new Date().toISOString(),
+      transactions
+    });
+
+    console.log(`\n✓ ${transactions.length} unsigned transactions written: ${this.exportPath}`);
+    console.log(`  Nonces ${transactions[0].tx.nonce} to ${transactions[transactions.length - 1].tx.nonce}, max cost ${ethers.formatEther(totalCost)} ETH (balance ${networkInfo.deployerBalance} ETH)`);
+    console.log('  Sign with:      node deployTokens.js --sign <file>');
+    console.log('  Broadcast with: node deployTokens.js --broadcast <signed file>\n');
+  }
+
+  // Sends the signed transactions in order and records each one's outcome in the deployment
+  // state, as a live run would. Transactions already mined (e.g. by an interrupted broadcast)
+  // are not sent again.
+  async broadcastTransactions(tokens, networkInfo) {
+    const file = this.broadcastFile;
+    if (file.chainId !== networkInfo.chainId) {
+      throw new Error(`${this.broadcastPath} was signed for chain ${file.chainId}, not ${networkInfo.chainId}`);
+    }
+
+    // Resuming the run afterwards relies on the configuration the transactions were built from
+    for (const entry of file.transactions.filter(entry => entry.step === 'deploy')) {
+      const token = tokens.find(t => t.symbol === entry.symbol);
+      if (!token || DeploymentState.hashTokenConfig(token) !== entry.configHash) {
+        throw new Error(`${entry.symbol} is not configured as it was when the transactions were exported`);
+      }
+    }
+
+    offline.verifySignedFile(file);
+
+    console.log(`Broadcasting ${file.transactions.length} signed transactions from ${this.broadcastPath}...`);
+    for (const [i, entry] of file.transactions.entries()) {
+      const label = `[${i + 1}/${file.transactions.length}] ${entry.description}`;
+
+      let receipt = await this.provider.getTransactionReceipt(entry.hash);
+      if (!receipt) {
+        const nonce = await this.provider.getTransactionCount(file.from, 'latest');
+        if (nonce > entry.tx.nonce) {
+          throw new Error(`${label}: nonce ${entry.tx.nonce} was already used by another transaction`);
+        }
+        if (entry.step === 'deploy') {
+          this.recordBroadcast(entry, null);
+          this.deployedThisRun.add(entry.symbol);
+        }
+        try {
+          await this.provider.broadcastTransaction(entry.signed);
+        } catch (error) {
+          // Sent by an earlier, interrupted broadcast and still waiting to be mined
+          if (!/already known/i.test(error.message)) {
+            throw error;
+          }
+        }
+        receipt = await this.waiter.wait(await this.provider.getTransaction(entry.hash), { label });
+      }
+
+      if (receipt.status !== 1) {
+        throw new Error(`${label}: transaction ${entry.hash} reverted`);
+      }
+      this.fees.recordReceipt(receipt);
+      this.recordBroadcast(entry, receipt);
+      // With its sender funded, the factory's own presigned deployment can go out
+      if (entry.step === 'create2Factory' && !(await create2.isFactoryDeployed(this.provider))) {
+        await this.sendFactoryDeployment();
+      }
+      console.log(`  ✓ ${label}`);
+    }
+    console.log('');
+  }
+
+  // Deployment state for one broadcast transaction; a deployment is recorded as pending
+  // (receipt null) before it is sent
+  recordBroadcast(entry, receipt) {
+    const { symbol } = entry;
+    switch (entry.step) {
+      case 'deploy': {
+        const previous = this.state.get(symbol);
+        if (!previous || previous.txHash !== entry.hash) {
+          this.state.markPending(symbol, entry.configHash, entry.hash, entry.address);
+        }
+        // CREATE2 deployments go through the factory, so their address comes from the export
+        if (receipt && this.state.get(symbol).status === 'pending') {
+          this.state.markDeployed(symbol, {
+            address: receipt.contractAddress || entry.address,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed
+          });
+        }
+        break;
+      }
+      case 'vestingWallet':
+        this.state.markVestingWallet(symbol, entry.index, receipt.contractAddress);
+        break;
+      case 'transfer':
+        this.state.markTransfer(symbol, entry.index, entry.hash, true);
+        break;
+      case 'chunk':
+        this.state.markTransfers(symbol, entry.indices, entry.hash, true);
+        break;
+      case 'airdrop':
+        this.state.markAirdrop(symbol, { distributor: receipt.contractAddress, merkleRoot: entry.merkleRoot });
+        break;
+      case 'faucet':
+        this.state.markFaucet(symbol, { address: receipt.contractAddress });
+        break;
+      // Implementations, the CREATE2 factory and multi-send helper, approvals, fundings and role
+      // changes are read back from the chain
+    }
+  }
+
+  // Sends the deployments of the tokens that need one, then their initial transfers, up to
+  // `concurrency` transactions at a time with nonces assigned here rather than by the node.
+  // Vesting wallets, airdrops, faucets and roles are left to deployToken, which resumes from the
+  // state recorded here. Deterministic and proxied tokens go through deployToken entirely;
+  // batched tokens are deployed here but distribute there, through the multi-send helper.
+  // Returns the error of each token that failed, by symbol.
+  async runPipeline(tokens, concurrency) {
+    const failures = new Map();
+    const settle = results => {
+      for (const { job, error } of results.filter(result => result.status !== 'confirmed')) {
+        const message = `${job.label} failed: ${this.describeError(error, job.token)}`;
+        console.log(`  ✗ ${message}`);
+        if (!failures.has(job.symbol)) {
+          failures.set(job.symbol, error instanceof SpendLimitError ? error : new Error(message));
+        }
+      }
+    };
+
+    const pending = tokens.filter(token => {
+      const previous = this.state.get(token.symbol);
+      const fresh = this.force || !previous || previous.configHash !== DeploymentState.hashTokenConfig(token);
+      return fresh && !token.deterministic && !token.proxy;
+    });
+    if (pending.length === 0) {
+      return failures;
+    }
+
+    console.log(`Pipelining ${pending.length} deployment(s), up to ${concurrency} transactions at a time...`);
+    const deployments = new TransactionPipeline(this.wallet, this.fees, concurrency, this.waiter);
+    for (const token of pending) {
+      const configHash = DeploymentState.hashTokenConfig(token);
+      deployments.add({
+        symbol: token.symbol,
+        token,
+        label: `Deploy ${token.symbol}`,
+        build: async () => ({ ...(await this.getDeployTransaction(token)), gasLimit: await this.estimateGas(token) }),
+        onSent: tx => this.state.markPending(token.symbol, configHash, tx.hash),
+        onReplaced: this.replacementRecorder(token.symbol, `Deploy ${token.symbol}`),
+        onMined: receipt => {
+          this.state.markDeployed(token.symbol, {
+            address: receipt.contractAddress,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed
+          });
+          this.deployedThisRun.add(token.symbol);
+          console.log(`  ✓ Deployed ${token.symbol} at ${receipt.contractAddress}`);
+        }
+      });
+    }
+    settle(await deployments.run());
+
+    const transfers = new TransactionPipeline(this.wallet, this.fees, concurrency, this.waiter);
+    if (!deployments.stoppedBy) {
+      for (const token of pending.filter(t => this.deployedThisRun.has(t.symbol) && !this.isBatched(t))) {
+        const contract = new ethers.Contract(this.state.get(token.symbol).address, this.getArtifact(token).abi, this.wallet);
+        // Vested allocations wait for their wallets, which deployToken sets up
+        const vested = vesting.vestedIndices(token);
+        for (const [index, holder] of (token.initialHolders || []).entries()) {
+          if (vested.includes(index)) {
+            continue;
+          }
+          const amount = ethers.parseUnits(holder.amount, token.decimals);
+          const label = `Transfer ${holder.amount} ${token.symbol} to ${holder.address}`;
+          transfers.add({
+            symbol: token.symbol,
+            token,
+            label,
+            build: async () => ({
+              ...(await contract.transfer.populateTransaction(holder.address, amount)),
+              gasLimit: await this.fees.transactionGasLimit(() => contract.transfer.estimateGas(holder.address, amount))
+            }),
+            onSent: tx => this.state.markTransfer(token.symbol, index, tx.hash, false),
+            onReplaced: this.replacementRecorder(token.symbol, label),
+            onMined: receipt => {
+              this.state.markTransfer(token.symbol, index, receipt.hash, true);
+              console.log(`  ✓ Sent ${holder.amount} ${token.symbol} to ${holder.address}`);
+            }
+          });
+        }
+      }
+    }
+    if (transfers.queue.length > 0) {
+      console.log(`Pipelining ${transfers.queue.length} initial transfer(s)...`);
+      settle(await transfers.run());
+    }
+    console.log('');
+
+    return failures;
+  }
+
+  async deployToken(token) {
+    console.log(`Deploying ${token.name} (${token.symbol})...`);
+
+    const configHash = DeploymentState.hashTokenConfig(token);
+
+    let deployed = await this.resumeDeployment(token, configHash);
+    const reused = deployed !== null && !this.deployedThisRun.has(token.symbol);
+
+    if (reused && deployed.complete) {
+      console.log(`  ✓ Already deployed at ${deployed.address} - skipping\n`);
+      this.deployments.push({ ...this.state.get(token.symbol).deployment, reused: true });
+      return deployed.address;
+    }
+
+    if (!deployed) {
+      deployed = await this.sendDeployment(token, configHash);
+    }
+
+    const contract = new ethers.Contract(deployed.address, this.getArtifact(token).abi, this.wallet);
+
+    // Read from the proxy itself, so a resumed deployment reports the implementation it really uses
+    const proxy = token.proxy ? await this.readProxyDeployment(token, deployed) : undefined;
+
+    // Vested allocations go to a wallet per holder instead of the holder itself
+    const vestingWallets = await this.deployVestingWallets(token);
+
+    // Distribute initial tokens if configured
+    if (token.initialHolders && token.initialHolders.length > 0) {
+      const recipients = token.initialHolders.map((holder, index) => vestingWallets[index] || holder.address);
+      await this.distributeTokens(contract, token, recipients);
+    }
+
+    const airdropInfo = token.airdrop ? await this.deployAirdrop(contract, token) : undefined;
+    const faucetInfo = token.faucet ? await this.deployFaucet(contract, token) : undefined;
+
+    // Roles move only after the distribution, which the deployer still pays for
+    await this.handOverRoles(contract, token);
+
+    // Store deployment info
+    const template = templates.getTemplate(token.template);
+    const capabilities = template.capabilities(token);
+    const deployment = {
+      name: token.name,
+      symbol: token.symbol,
+      address: deployed.address,
+      template: template.name,
+      contract: template.contract,
+      ...templates.recordParams(template, token),
+      mintable: capabilities.mintable,
+      burnable: capabilities.burnable,
+      pausable: capabilities.pausable,
+      features: templates.describeFeatures(capabilities),
+      quirk: templates.describeQuirk(template, token),
+      owner: this.wallet.address,
+      deterministic: token.deterministic || false,
+      salt: token.deterministic ? create2.normalizeSalt(token.salt) : undefined,
+      proxy,
+      build: compiler.describeBuild(this.getArtifact(token)),
+      deploymentTx: deployed.txHash,
+      blockNumber: deployed.blockNumber,
+      gasUsed: deployed.gasUsed !== null ? deployed.gasUsed.toString() : null,
+      // Transactions resent with higher fees (or cancelled) while they were pending
+      replacements: this.state.get(token.symbol).replacements,
+      roles: await this.readRoleTable(contract, token, faucetInfo),
+      vesting: vesting.vestedIndices(token).length > 0
+        ? vesting.vestedIndices(token).map(index => vesting.describeWallet(token, token.initialHolders[index], vestingWallets[index]))
+        : undefined,
+      airdrop: airdropInfo,
+      faucet: faucetInfo,
+      audit: await this.auditDeployment(token, deployed.address, {
+        distributor: airdropInfo ? airdropInfo.distributor : null,
+        vestingWallets,
+        faucet: faucetInfo,
+        proxy: proxy ? { ...proxy, artifact: this.artifacts[upgrades.PROXY_CONTRACTS[token.proxy].contract] } : null
+      })
+    };
+
+    // A token that failed its audit stays incomplete, so the next run resumes and audits it again
+    if (deployment.audit.passed) {
+      this.state.markComplete(token.symbol, deployment);
+    } else {
+      this.failedAudits.push(token.symbol);
+    }
+    this.deployments.push(reused ? { ...deployment, reused: true } : deployment);
+
+    return deployed.address;
+  }
+
+  async sendDeployment(token, configHash) {
+    if (token.deterministic) {
+      return this.sendDeterministicDeployment(token, configHash);
+    }
+    if (token.proxy) {
+      return this.sendProxyDeployment(token, configHash);
+    }
+
+    // Estimate gas
+    const gasLimit = await this.estimateGas(token);
+    console.log(`  Estimated gas: ${gasLimit}`);
+
+    const artifact = this.getContractArtifact(token);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, this.wallet);
+    return this.deployFromFactory(token, configHash, factory, this.getConstructorArgs(token), gasLimit);
+  }
+
+  // Deploys the implementation, then the proxy, whose constructor runs the initializer. The proxy
+  // deployment counts as the token's deployment tx, so an interrupted run resumes it as usual;
+  // an implementation deployed before the interruption is simply not used.
+  async sendProxyDeployment(token, configHash) {
+    const artifact = this.getArtifact(token);
+    const implementationFactory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, this.wallet);
+    const implementationGas = await this.fees.deploymentGasLimit(
+      async () => this.wallet.estimateGas(await implementationFactory.getDeployTransaction())
+    );
+    const implementation = await implementationFactory.deploy(await this.fees.getOverrides(implementationGas));
+    await this.waitFor(implementation.deploymentTransaction(), `Implementation of ${token.symbol}`);
+    const implementationAddress = await implementation.getAddress();
+    console.log(`  ✓ Implementation deployed at: ${implementationAddress}`);
+
+    const proxyArtifact = this.artifacts[upgrades.PROXY_CONTRACTS[token.proxy].contract];
+    const factory = new ethers.ContractFactory(proxyArtifact.abi, proxyArtifact.bytecode, this.wallet);
+    const initData = upgrades.initializeData(artifact, this.getConstructorArgs(token));
+    const args = upgrades.proxyArgs(token.proxy, implementationAddress, this.wallet.address, initData);
+
+    let gasLimit;
+    try {
+      gasLimit = await this.fees.deploymentGasLimit(
+        async () => this.wallet.estimateGas(await factory.getDeployTransaction(...args))
+      );
+    } catch (error) {
+      throw new Error(`Failed to estimate gas for ${token.name}: ${this.describeError(error, token)}`);
+    }
+    console.log(`  Estimated gas: ${gasLimit} (${token.proxy} proxy)`);
+
+    return this.deployFromFactory(token, configHash, factory, args, gasLimit);
+  }
+
+  // Sends the deployment and records it as the token's pending, then deployed, tx
+  async deployFromFactory(token, configHash, factory, args, gasLimit) {
+    const overrides = await this.fees.getOverrides(gasLimit);
+    const contract = await factory.deploy(...args, overrides);
+
+    const tx = contract.deploymentTransaction();
+    console.log(`  Transaction hash: ${tx.hash}`);
+
+    // Record the pending tx before waiting so an interrupted run can pick it up
+    this.state.markPending(token.symbol, configHash, tx.hash);
+    
+    // Wait for deployment; a replacement has the same nonce, so the address stays the same
+    const receipt = await this.waitFor(tx, `Deployment of ${token.symbol}`, token.symbol);
+    const address = await contract.getAddress();
+    
+    console.log(`  ✓ Deployed at: ${address}`);
+    console.log(`  Block number: ${receipt.blockNumber}`);
+    console.log(`  Gas used: ${receipt.gasUsed}\n`);
+
+    const deployed = { address, txHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+    this.state.markDeployed(token.symbol, deployed);
+    return deployed;
+  }
+
+  async predictDeterministicAddress(token) {
+    const artifact = this.getContractArtifact(token);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode);
+    const deployTx = await factory.getDeployTransaction(...this.getConstructorArgs(token));
+    return create2.predictAddress(token.salt, deployTx.data);
+  }
+
+  // True if the predicted address already holds this token's runtime code; throws on foreign code
+  async isDeterministicDeployment(address, token) {
+    const code = await this.provider.getCode(address);
+    if (code === '0x') {
+      return false;
+    }
+    if (!matchesDeployedBytecode(code, this.getContractArtifact(token).deployedBytecode)) {
+      throw new Error(`Predicted address ${address} is occupied by a different contract`);
+    }
+    return true;
+  }
+
+  async ensureCreate2Factory() {
+    if (await create2.isFactoryDeployed(this.provider)) {
+      return;
+    }
+    console.log(`CREATE2 factory not found - deploying it at ${create2.FACTORY_ADDRESS}...`);
+
+    const balance = await this.provider.getBalance(create2.FACTORY_DEPLOYER);
+    if (balance < create2.FACTORY_DEPLOYMENT_COST) {
+      const overrides = await this.fees.getOverrides(21000n);
+      const reserved = this.fees.reserve(overrides);
+      try {
+        const tx = await this.wallet.sendTransaction({
+          to: create2.FACTORY_DEPLOYER,
+          value: create2.FACTORY_DEPLOYMENT_COST - balance,
+          ...overrides
+        });
+        await this.waitFor(tx, 'Funding of the CREATE2 factory deployer');
+      } finally {
+        this.fees.release(reserved);
+      }
+    }
+
+    await this.sendFactoryDeployment();
+    console.log('✓ CREATE2 factory deployed\n');
+  }
+
+  // The factory's presigned deployment, once its sender is funded. Its fees are fixed by the
+  // signature, so a stuck one cannot be bumped (see TransactionWaiter.canReplace).
+  async sendFactoryDeployment() {
+    const tx = await create2.broadcastFactoryDeployment(this.provider);
+    await this.waitFor(tx, 'CREATE2 factory deployment');
+    if (!(await create2.isFactoryDeployed(this.provider))) {
+      throw new Error(`CREATE2 factory deployment did not produce code at ${create2.FACTORY_ADDRESS}`);
+    }
+  }
+
+  async sendDeterministicDeployment(token, configHash) {
+    const address = await this.predictDeterministicAddress(token);
+    console.log(`  Predicted address: ${address} (salt ${create2.normalizeSalt(token.salt)})`);
+
+    if (await this.isDeterministicDeployment(address, token)) {
+      console.log('  ✓ Matching contract already deployed at the predicted address\n');
+      const deployed = { address, txHash: null, blockNumber: null, gasUsed: null };
+      this.state.markPending(token.symbol, configHash, null, address);
+      this.state.markDeployed(token.symbol, deployed);
+      return deployed;
+    }
+
+    const gasLimit = await this.estimateGas(token);
+    console.log(`  Estimated gas: ${gasLimit}`);
+
+    const overrides = await this.fees.getOverrides(gasLimit);
+    const tx = await this.wallet.sendTransaction({ ...(await this.getDeployTransaction(token)), ...overrides });
+    console.log(`  Transaction hash: ${tx.hash}`);
+
+    // Record the pending tx before waiting so an interrupted run can pick it up
+    this.state.markPending(token.symbol, configHash, tx.hash, address);
+
+    const receipt = await this.waitFor(tx, `Deployment of ${token.symbol}`, token.symbol);
+
+    if (!(await this.verifyDeployment(address))) {
+      throw new Error(`CREATE2 deployment succeeded but no code was found at ${address}`);
+    }
+
+    console.log(`  ✓ Deployed at: ${address}`);
+    console.log(`  Block number: ${receipt.blockNumber}`);
+    console.log(`  Gas used: ${receipt.gasUsed}\n`);
+
+    const deployed = { address, txHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+    this.state.markDeployed(token.symbol, deployed);
+    return deployed;
   }
 
-  validateEnvironment() {
-    const required = ['RPC_URL', 'PRIVATE_KEY', 'DEPLOYER_ADDRESS'];
-    const missing = required.filter(key => !process.env[key]);
-    
-    if (missing.length > 0) {
-      console.error('Missing required environment variables:', missing.join(', '));
-      console.log('Please copy .env.example to .env and fill in your values');
-      process.exit(1);
+  // Returns the deployment recorded by a previous run, or null if the token must be (re)deployed
+  async resumeDeployment(token, configHash) {
+    if (this.force && !this.deployedThisRun.has(token.symbol)) {
+      return null;
     }
 
-    // Validate private key format
-    if (!process.env.PRIVATE_KEY.startsWith('0x') || process.env.PRIVATE_KEY.length !== 66) {
-      console.error('Invalid private key format. Must be 64 hex characters prefixed with 0x');
-      process.exit(1);
+    const previous = this.state.get(token.symbol);
+    if (!previous) {
+      return null;
     }
 
-    // Validate deployer address matches private key
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
-    if (wallet.address.toLowerCase() !== process.env.DEPLOYER_ADDRESS.toLowerCase()) {
-      console.error('DEPLOYER_ADDRESS does not match the address derived from PRIVATE_KEY');
-      console.log(`Expected: ${wallet.address}`);
-      console.log(`Got: ${process.env.DEPLOYER_ADDRESS}`);
-      process.exit(1);
+    if (previous.configHash !== configHash) {
+      console.log('  Configuration changed since last deployment - redeploying');
+      return null;
+    }
+
+    let deployed = null;
+
+    if (previous.status === 'pending') {
+      console.log(`  Found pending deployment tx: ${previous.txHash}`);
+      let receipt = await this.provider.getTransactionReceipt(previous.txHash);
+
+      if (!receipt) {
+        const tx = await this.provider.getTransaction(previous.txHash);
+        if (!tx) {
+          console.log('  Pending tx is no longer known to the node - redeploying');
+          return null;
+        }
+        console.log('  Waiting for pending tx to be mined...');
+        receipt = await this.waiter.wait(tx, {
+          label: `Deployment of ${token.symbol}`,
+          onReplaced: this.replacementRecorder(token.symbol, `Deployment of ${token.symbol}`)
+        });
+      }
+
+      // CREATE2 deployments go through the factory, so the address comes from the state; a
+      // cancelled one leaves no code there
+      const address = receipt.contractAddress ||
+        (previous.address && await this.verifyDeployment(previous.address) ? previous.address : null);
+      if (receipt.status !== 1 || !address) {
+        console.log('  Pending tx failed - redeploying');
+        return null;
+      }
+
+      deployed = {
+        address,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed
+      };
+      this.state.markDeployed(token.symbol, deployed);
+    } else {
+      deployed = {
+        address: previous.address,
+        txHash: previous.txHash,
+        blockNumber: previous.blockNumber,
+        gasUsed: previous.gasUsed,
+        complete: previous.status === 'complete'
+      };
+    }
+
+    // The chain may have been reset since the state was written (e.g. a local node)
+    if (!(await this.verifyDeployment(deployed.address))) {
+      console.log(`  No contract code at ${deployed.address} - redeploying`);
+      return null;
+    }
+
+    if (this.deployedThisRun.has(token.symbol)) {
+      console.log(`  ✓ Deployed at: ${deployed.address}\n`);
+    } else if (!deployed.complete) {
+      console.log(`  ✓ Resuming deployment at: ${deployed.address}\n`);
     }
+    return deployed;
   }
 
-  async compileContract() {
-    console.log('Compiling ERC20Token contract...');
-    
-    const contractPath = path.join(__dirname, 'contracts', 'ERC20Token.sol');
-    const contractSource = fs.readFileSync(contractPath, 'utf8');
+  // `recipients` holds the address each initial holder's tokens go to (its vesting wallet, if any)
+  async distributeTokens(contract, token, recipients) {
+    if (this.isBatched(token)) {
+      return this.distributeInBatches(contract, token, recipients);
+    }
+
+    console.log(`  Distributing initial tokens...`);
 
-    // Prepare OpenZeppelin imports
-    const ozPath = path.join(__dirname, 'node_modules', '@openzeppelin', 'contracts');
+    const transfers = this.state.get(token.symbol).transfers;
     
-    const input = {
-      language: 'Solidity',
-      sources: {
-        'ERC20Token.sol': {
-          content: contractSource
-        }
-      },
-      settings: {
-        optimizer: {
-          enabled: true,
-          runs: 200
-        },
-        outputSelection: {
-          '*': {
-            '*': ['abi', 'evm.bytecode']
-          }
+    for (const [index, holder] of token.initialHolders.entries()) {
+      const recipient = recipients[index];
+      const previous = transfers[index];
+      if (previous && (previous.confirmed || await this.isTransferConfirmed(token.symbol, previous.txHash))) {
+        console.log(`    ✓ ${holder.amount} ${token.symbol} already sent to ${recipient}`);
+        continue;
+      }
+
+      const amount = ethers.parseUnits(holder.amount, token.decimals);
+      
+      const gasLimit = await this.fees.transactionGasLimit(
+        () => contract.transfer.estimateGas(recipient, amount)
+      );
+      const overrides = await this.fees.getOverrides(gasLimit);
+
+      console.log(`    Sending ${holder.amount} ${token.symbol} to ${recipient}`);
+      const tx = await contract.transfer(recipient, amount, overrides);
+      this.state.markTransfer(token.symbol, index, tx.hash, false);
+      const receipt = await this.waitFor(tx, `Transfer to ${recipient}`, token.symbol);
+      this.state.markTransfer(token.symbol, index, receipt.hash, true);
+      console.log(`    ✓ Transfer confirmed`);
+    }
+  }
+
+  // Grants the roles configured in tokens.json and optionally renounces the deployer's. Roles
+  // already in place are skipped, so an interrupted hand-over simply continues on the next run.
+  async handOverRoles(contract, token) {
+    const deployer = this.wallet.address;
+    const plan = roles.planHandoff(token, deployer);
+    if (plan.grants.length === 0 && plan.renounce.length === 0) {
+      return;
+    }
+
+    console.log(`  Handing over roles...`);
+
+    for (const { role, account } of plan.grants) {
+      if (await contract.hasRole(roles.roleHash(role), account)) {
+        console.log(`    ✓ ${account} already has ${role}`);
+        continue;
+      }
+      console.log(`    Granting ${role} to ${account}`);
+      await this.sendTokenTransaction(contract, 'grantRole', [roles.roleHash(role), account]);
+    }
+
+    for (const role of plan.renounce) {
+      if (!(await contract.hasRole(roles.roleHash(role), deployer))) {
+        continue;
+      }
+      // Checked on-chain right before the admin role goes, not just in tokens.json
+      if (role === 'DEFAULT_ADMIN_ROLE') {
+        const admin = ethers.getAddress(token.admin);
+        if (admin === deployer || !(await contract.hasRole(roles.roleHash(role), admin))) {
+          throw new Error(`Refusing to renounce DEFAULT_ADMIN_ROLE on ${token.symbol}: ${admin} would not be left as admin`);
         }
       }
-    };
+      console.log(`    Renouncing deployer's ${role}`);
+      await this.sendTokenTransaction(contract, 'renounceRole', [roles.roleHash(role), deployer]);
+    }
+    console.log(`    ✓ Roles handed over`);
+  }
 
-    function findImports(importPath) {
-      if (importPath.startsWith('@openzeppelin/')) {
-        const actualPath = path.join(__dirname, 'node_modules', importPath);
-        if (fs.existsSync(actualPath)) {
-          return {
-            contents: fs.readFileSync(actualPath, 'utf8')
-          };
+  // Role holders as read back from the chain: { ROLE: [accounts] } for every role the template uses
+  async readRoleTable(contract, token, faucet = null) {
+    const template = templates.getTemplate(token.template);
+    if (!template.roles) {
+      return null;
+    }
+
+    const table = {};
+    for (const role of Object.keys(template.roles(token))) {
+      table[role] = [];
+      for (const account of roles.roleCandidates(token, this.wallet.address, faucet)) {
+        if (await contract.hasRole(roles.roleHash(role), account)) {
+          table[role].push(account);
+        }
+      }
+    }
+    return table;
+  }
+
+  // Sends the transfers that are not yet confirmed through the multi-send helper, batchSize
+  // at a time. Progress is kept per holder, so a failed chunk is retried on the next run
+  // even if batchSize was changed in between.
+  async distributeInBatches(contract, token, recipients) {
+    console.log(`  Distributing initial tokens in chunks of ${token.batchSize}...`);
+
+    const transfers = this.state.get(token.symbol).transfers;
+    const confirmedTxs = new Map();
+    const pending = [];
+    for (const index of token.initialHolders.keys()) {
+      const previous = transfers[index];
+      if (previous) {
+        if (!confirmedTxs.has(previous.txHash)) {
+          confirmedTxs.set(previous.txHash, previous.confirmed || await this.isTransferConfirmed(token.symbol, previous.txHash));
+        }
+        if (confirmedTxs.get(previous.txHash)) {
+          continue;
         }
       }
-      return { error: `File not found: ${importPath}` };
+      pending.push(index);
+    }
+
+    const alreadySent = token.initialHolders.length - pending.length;
+    if (alreadySent > 0) {
+      console.log(`    ✓ ${alreadySent} of ${token.initialHolders.length} transfers already sent`);
+    }
+    if (pending.length === 0) {
+      return;
     }
 
-    const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+    const multiSend = await this.ensureMultiSend();
+    const multiSendAddress = await multiSend.getAddress();
+    const amounts = token.initialHolders.map(holder => ethers.parseUnits(holder.amount, token.decimals));
+    const remaining = pending.reduce((sum, index) => sum + amounts[index], 0n);
 
-    if (output.errors) {
-      const errors = output.errors.filter(e => e.severity === 'error');
-      if (errors.length > 0) {
-        console.error('Compilation errors:');
-        errors.forEach(err => console.error(err.formattedMessage));
-        process.exit(1);
+    // Tokens with approval race protection need the allowance reset to zero before it changes
+    const allowance = await contract.allowance(this.wallet.address, multiSendAddress);
+    if (allowance < remaining) {
+      if (allowance > 0n) {
+        await this.sendTokenTransaction(contract, 'approve', [multiSendAddress, 0]);
       }
+      console.log(`    Approving ${ethers.formatUnits(remaining, token.decimals)} ${token.symbol} for the multi-send helper`);
+      await this.sendTokenTransaction(contract, 'approve', [multiSendAddress, remaining]);
     }
 
-    const contract = output.contracts['ERC20Token.sol']['ERC20Token'];
-    this.contractBytecode = contract.evm.bytecode.object;
-    this.contractABI = contract.abi;
+    const chunks = holders.chunk(pending, token.batchSize);
+    for (const [n, chunk] of chunks.entries()) {
+      const chunkRecipients = chunk.map(index => recipients[index]);
+      const chunkAmounts = chunk.map(index => amounts[index]);
+      const args = [await contract.getAddress(), chunkRecipients, chunkAmounts];
 
-    console.log('✓ Contract compiled successfully\n');
+      const gasLimit = await this.fees.transactionGasLimit(() => multiSend.multiTransfer.estimateGas(...args));
+      const overrides = await this.fees.getOverrides(gasLimit);
 
-    // Save ABI for future use
-    this.saveABI();
+      console.log(`    Sending chunk ${n + 1}/${chunks.length} (${chunk.length} transfers)`);
+      const tx = await multiSend.multiTransfer(...args, overrides);
+      this.state.markTransfers(token.symbol, chunk, tx.hash, false);
+      const receipt = await this.waitFor(tx, `Chunk ${n + 1}/${chunks.length} of ${token.symbol}`, token.symbol);
+      this.state.markTransfers(token.symbol, chunk, receipt.hash, true);
+      console.log(`    ✓ Chunk confirmed`);
+    }
   }
 
-  saveABI() {
-    const deploymentDir = path.join(__dirname, 'deployments');
-    if (!fs.existsSync(deploymentDir)) {
-      fs.mkdirSync(deploymentDir, { recursive: true });
+  // Deploys a vesting wallet for each initial holder with a vesting schedule and returns
+  // { index: wallet }. Wallets recorded by an earlier run are reused if they still have code.
+  async deployVestingWallets(token) {
+    const indices = vesting.vestedIndices(token);
+    if (indices.length === 0) {
+      return {};
     }
 
-    const abiPath = path.join(deploymentDir, 'ERC20Token.abi.json');
-    fs.writeFileSync(abiPath, JSON.stringify(this.contractABI, null, 2));
+    console.log(`  Setting up ${indices.length} vesting wallet(s)...`);
+    const recorded = this.state.get(token.symbol).vestingWallets || {};
+    const wallets = {};
+    for (const index of indices) {
+      const holder = token.initialHolders[index];
+      if (recorded[index] && await this.verifyDeployment(recorded[index])) {
+        wallets[index] = recorded[index];
+        console.log(`    ✓ Vesting wallet for ${holder.address} already deployed at ${wallets[index]}`);
+        continue;
+      }
+
+      wallets[index] = await this.deployTokenContract(
+        token, `vestingWallet:${index}`, `Vesting wallet for ${holder.address}`,
+        () => this.getVestingWalletDeployTransaction(holder)
+      );
+      this.state.markVestingWallet(token.symbol, index, wallets[index]);
+      console.log(`    ✓ Vesting wallet for ${holder.address} deployed at ${wallets[index]}`);
+    }
+    return wallets;
   }
 
-  async loadTokenConfig() {
-    const configPath = process.env.TOKENS_CONFIG_PATH || path.join(__dirname, 'tokens.json');
-    
-    if (!fs.existsSync(configPath)) {
-      console.error(`Token configuration file not found: ${configPath}`);
-      console.log('Please create a tokens.json file with your token configurations');
-      process.exit(1);
+  needsCreate2Factory(tokens) {
+    return tokens.some(token => token.deterministic || this.isBatched(token));
+  }
+
+  // Deploys the Merkle distributor, funds it with the airdrop total and writes the claims file.
+  // A distributor recorded by an earlier run for the same tree is reused, and funding only
+  // tops up what is missing.
+  async deployAirdrop(contract, token) {
+    console.log(`  Setting up airdrop for ${token.airdrop.recipients.length} recipients...`);
+
+    const { merkleRoot, total, claims } = airdrop.buildClaims(token);
+    const deadline = time.parseTimestamp(token.airdrop.deadline);
+    const tokenAddress = await contract.getAddress();
+
+    const latest = await this.provider.getBlock('latest');
+    if (deadline <= latest.timestamp) {
+      throw new Error(`Airdrop deadline ${time.toISOString(deadline)} has already passed`);
     }
 
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    
-    // Validate token configurations
-    for (const token of config.tokens) {
-      this.validateTokenConfig(token);
+    const previous = this.state.get(token.symbol).airdrop;
+    let distributor;
+    if (previous && previous.merkleRoot === merkleRoot && await this.verifyDeployment(previous.distributor)) {
+      distributor = previous.distributor;
+      console.log(`    ✓ Distributor already deployed at ${distributor}`);
+    } else {
+      distributor = await this.deployTokenContract(
+        token, 'airdrop', `Airdrop distributor of ${token.symbol}`,
+        () => this.getDistributorDeployTransaction(tokenAddress, token)
+      );
+      this.state.markAirdrop(token.symbol, { distributor, merkleRoot });
+      console.log(`    ✓ Distributor deployed at ${distributor}`);
     }
 
-    return config;
+    const balance = await contract.balanceOf(distributor);
+    if (balance < total) {
+      console.log(`    Funding distributor with ${ethers.formatUnits(total - balance, token.decimals)} ${token.symbol}`);
+      await this.sendTokenTransaction(contract, 'transfer', [distributor, total - balance]);
+    }
+
+    const claimsFile = airdrop.saveClaims(this.state.chainId, token.symbol, {
+      chainId: this.state.chainId,
+      token: tokenAddress,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      distributor,
+      merkleRoot,
+      deadline,
+      total: total.toString(),
+      claims
+    });
+    console.log(`    ✓ Claims file written: ${claimsFile}`);
+
+    return {
+      distributor,
+      merkleRoot,
+      deadline: time.toISOString(deadline),
+      recipients: token.airdrop.recipients.length,
+      total: ethers.formatUnits(total, token.decimals),
+      claimsFile: path.relative(__dirname, claimsFile)
+    };
   }
 
-  validateTokenConfig(token) {
-    const required = ['name', 'symbol', 'decimals', 'initialSupply'];
-    const missing = required.filter(key => token[key] === undefined);
-    
-    if (missing.length > 0) {
-      throw new Error(`Token ${token.name || 'unnamed'} missing required fields: ${missing.join(', ')}`);
+  // Proxy kind, implementation and (transparent proxies) ProxyAdmin of a proxied token. The
+  // implementation's storage layout is saved for the storage check of later upgrades.
+  async readProxyDeployment(token, deployed) {
+    const { implementation, admin } = await upgrades.readProxy(this.provider, deployed.address);
+    const contract = templates.implementation(templates.getTemplate(token.template), token.proxy).contract;
+
+    upgrades.saveLayout(this.state.chainId, token.symbol, {
+      symbol: token.symbol,
+      proxy: deployed.address,
+      kind: token.proxy,
+      template: templates.getTemplate(token.template).name,
+      contract,
+      implementation,
+      storageLayout: this.artifacts[contract].storageLayout,
+      history: [{
+        implementation,
+        template: templates.getTemplate(token.template).name,
+        contract,
+        build: compiler.describeBuild(this.artifacts[contract]),
+        txHash: deployed.txHash
+      }]
+    });
+
+    return {
+      kind: token.proxy,
+      implementation,
+      implementationContract: contract,
+      admin: token.proxy === 'transparent' ? admin : undefined
+    };
+  }
+
+  // Deploys the token's faucet and funds it, or grants it MINTER_ROLE. A faucet recorded by an
+  // earlier run is reused, and only the missing funding or role is added.
+  async deployFaucet(contract, token) {
+    console.log(`  Setting up faucet...`);
+
+    const { drip, cooldown, fund, minting } = faucets.parseFaucet(token);
+    const previous = this.state.get(token.symbol).faucet;
+    let address;
+    if (previous && await this.verifyDeployment(previous.address)) {
+      address = previous.address;
+      console.log(`    ✓ Faucet already deployed at ${address}`);
+    } else {
+      const tokenAddress = await contract.getAddress();
+      address = await this.deployTokenContract(
+        token, 'faucet', `Faucet of ${token.symbol}`,
+        () => this.getFaucetDeployTransaction(tokenAddress, token)
+      );
+      this.state.markFaucet(token.symbol, { address });
+      console.log(`    ✓ Faucet deployed at ${address}`);
     }
 
-    if (token.decimals < 0 || token.decimals > 18) {
-      throw new Error(`Token ${token.name} has invalid decimals: ${token.decimals}. Must be 0-18`);
+    if (minting) {
+      if (!(await contract.hasRole(roles.roleHash('MINTER_ROLE'), address))) {
+        console.log(`    Granting MINTER_ROLE to the faucet`);
+        await this.sendTokenTransaction(contract, 'grantRole', [roles.roleHash('MINTER_ROLE'), address]);
+      }
+    } else {
+      const balance = await contract.balanceOf(address);
+      if (balance < fund) {
+        console.log(`    Funding faucet with ${ethers.formatUnits(fund - balance, token.decimals)} ${token.symbol}`);
+        await this.sendTokenTransaction(contract, 'transfer', [address, fund - balance]);
+      }
     }
 
-    if (token.initialHolders) {
-      for (const holder of token.initialHolders) {
-        if (!ethers.isAddress(holder.address)) {
-          throw new Error(`Invalid holder address for ${token.name}: ${holder.address}`);
+    return {
+      address,
+      minting,
+      drip: ethers.formatUnits(drip, token.decimals),
+      cooldown,
+      fund: minting ? undefined : ethers.formatUnits(fund, token.decimals)
+    };
+  }
+
+  // Deploys a contract that belongs to the token (vesting wallet, distributor, faucet) and returns
+  // its address. The tx hash is recorded under `key` before waiting, so a run interrupted while
+  // waiting picks the same deployment up instead of sending a second one.
+  async deployTokenContract(token, key, label, buildDeployTx) {
+    const pendingHash = this.state.pendingContract(token.symbol, key);
+    if (pendingHash) {
+      console.log(`    Found pending tx (${label}): ${pendingHash}`);
+      let receipt = await this.provider.getTransactionReceipt(pendingHash);
+      if (!receipt) {
+        const tx = await this.provider.getTransaction(pendingHash);
+        if (tx) {
+          console.log('    Waiting for pending tx to be mined...');
+          receipt = await this.waiter.wait(tx, { label, onReplaced: this.replacementRecorder(token.symbol, label) });
         }
       }
+      if (receipt && receipt.status === 1 && receipt.contractAddress) {
+        return receipt.contractAddress;
+      }
+      console.log('    Pending tx failed or is no longer known to the node - redeploying');
     }
+
+    const deployTx = await buildDeployTx();
+    const gasLimit = await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(deployTx));
+    const tx = await this.wallet.sendTransaction({ ...deployTx, ...(await this.fees.getOverrides(gasLimit)) });
+    this.state.markContractPending(token.symbol, key, tx.hash);
+    const receipt = await this.waitFor(tx, label, token.symbol);
+    return receipt.contractAddress;
   }
 
-  async estimateGas(token) {
-    const factory = new ethers.ContractFactory(this.contractABI, this.contractBytecode, this.wallet);
-    
-    const initialSupplyWei = ethers.parseUnits(token.initialSupply, token.decimals);
-    
-    try {
-      const estimatedGas = await factory.getDeployTransaction(
-        token.name,
-        token.symbol,
-        token.decimals,
-        initialSupplyWei,
-        token.mintable || false,
-        token.burnable || false,
-        token.pausable || false
-      ).estimateGas();
-
-      // Add 20% buffer
-      return estimatedGas * 120n / 100n;
-    } catch (error) {
-      console.error(`Failed to estimate gas for ${token.name}:`, error.message);
-      // Return default gas limit if estimation fails
-      return 3000000n;
-    }
+  isBatched(token) {
+    return token.batchSize !== undefined && (token.initialHolders || []).length > 0;
   }
 
-  async deployToken(token) {
-    console.log(`Deploying ${token.name} (${token.symbol})...`);
+  // The helper holds no state, so a single CREATE2 deployment (zero salt) serves every token and run
+  multiSendAddress() {
+    return create2.predictAddress(ethers.ZeroHash, `0x${this.artifacts.MultiSend.bytecode}`);
+  }
 
-    const factory = new ethers.ContractFactory(this.contractABI, this.contractBytecode, this.wallet);
-    
-    const initialSupplyWei = ethers.parseUnits(token.initialSupply, token.decimals);
-    
-    // Estimate gas
-    const gasLimit = await this.estimateGas(token);
-    console.log(`  Estimated gas: ${gasLimit}`);
+  async ensureMultiSend() {
+    const { abi, bytecode } = this.artifacts.MultiSend;
+    const address = this.multiSendAddress();
 
-    // Deploy contract
-    const contract = await factory.deploy(
-      token.name,
-      token.symbol,
-      token.decimals,
-      initialSupplyWei,
-      token.mintable || false,
-      token.burnable || false,
-      token.pausable || false,
-      {
-        gasLimit: gasLimit
-      }
-    );
+    if ((await this.provider.getCode(address)) === '0x') {
+      await this.ensureCreate2Factory();
+      console.log(`    Deploying multi-send helper at ${address}`);
+      const deployTx = create2.buildDeploymentTx(ethers.ZeroHash, `0x${bytecode}`);
+      const gasLimit = await this.fees.deploymentGasLimit(() => this.wallet.estimateGas(deployTx));
+      const tx = await this.wallet.sendTransaction({ ...deployTx, ...(await this.fees.getOverrides(gasLimit)) });
+      await this.waitFor(tx, 'Multi-send helper deployment');
+    }
+    return new ethers.Contract(address, abi, this.wallet);
+  }
 
-    console.log(`  Transaction hash: ${contract.deploymentTransaction().hash}`);
-    
-    // Wait for deployment
-    await contract.waitForDeployment();
-    const address = await contract.getAddress();
-    
-    console.log(`  ✓ Deployed at: ${address}`);
-    
-    const receipt = await contract.deploymentTransaction().wait();
-    console.log(`  Block number: ${receipt.blockNumber}`);
-    console.log(`  Gas used: ${receipt.gasUsed}\n`);
+  async sendTokenTransaction(contract, method, args) {
+    const gasLimit = await this.fees.transactionGasLimit(
+      () => contract[method].estimateGas(...args)
+    );
+    const overrides = await this.fees.getOverrides(gasLimit);
+    const tx = await contract[method](...args, overrides);
+    await this.waitFor(tx, `${method} on ${await contract.getAddress()}`);
+  }
 
-    // Distribute initial tokens if configured
-    if (token.initialHolders && token.initialHolders.length > 0) {
-      await this.distributeTokens(contract, token);
+  // Waits for `tx` as configured (see lib/confirmations.js) and counts its fee. Replacements of a
+  // token's transactions are recorded in its state. Throws if the transaction reverted.
+  async waitFor(tx, label, symbol = null) {
+    const receipt = await this.waiter.wait(tx, {
+      label,
+      onReplaced: symbol ? this.replacementRecorder(symbol, label) : null
+    });
+    this.fees.recordReceipt(receipt);
+    if (receipt.status !== 1) {
+      throw new Error(`${label} reverted in tx ${receipt.hash}`);
     }
+    return receipt;
+  }
 
-    // Store deployment info
-    this.deployments.push({
-      name: token.name,
-      symbol: token.symbol,
-      address: address,
-      decimals: token.decimals,
-      initialSupply: token.initialSupply,
-      mintable: token.mintable || false,
-      burnable: token.burnable || false,
-      pausable: token.pausable || false,
-      deploymentTx: contract.deploymentTransaction().hash,
-      blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString()
+  replacementRecorder(symbol, label) {
+    return (replaced, replacement) => this.state.recordReplacement(symbol, {
+      label,
+      nonce: replacement.nonce,
+      original: replaced.hash,
+      replacement: replacement.hash,
+      reason: 'speed-up'
     });
+  }
 
-    return address;
+  // Waits for a transfer sent by an interrupted run; false if it failed or was dropped
+  async isTransferConfirmed(symbol, txHash) {
+    const tx = await this.provider.getTransaction(txHash);
+    if (!tx) {
+      return false;
+    }
+    const receipt = await this.waiter.wait(tx, {
+      label: `Transfer ${txHash}`,
+      onReplaced: this.replacementRecorder(symbol, `Transfer ${txHash}`)
+    });
+    return receipt.status === 1;
   }
 
-  async distributeTokens(contract, token) {
-    console.log(`  Distributing initial tokens...`);
-    
-    for (const holder of token.initialHolders) {
-      const amount = ethers.parseUnits(holder.amount, token.decimals);
-      
-      console.log(`    Sending ${holder.amount} ${token.symbol} to ${holder.address}`);
-      const tx = await contract.transfer(holder.address, amount);
-      await tx.wait();
-      console.log(`    ✓ Transfer confirmed`);
+  // Compares the token's on-chain state with its configuration and prints any mismatches
+  async auditDeployment(token, address, accounts = {}) {
+    console.log(`  Auditing on-chain state...`);
+    const result = await audit.auditToken(
+      this.provider, token, address, this.getArtifact(token), this.wallet.address, accounts
+    );
+
+    if (result.passed) {
+      console.log(`  ✓ All ${result.checks} checks passed\n`);
+    } else {
+      console.log(`  ✗ ${result.failures.length} of ${result.checks} checks failed:`);
+      result.failures.forEach(f => {
+        console.log(`    ${f.check}`);
+        console.log(`      - expected: ${f.expected}`);
+        console.log(`      + actual:   ${f.actual}`);
+      });
+      console.log('');
     }
+    return result;
   }
 
   async verifyDeployment(address) {
@@ -256,6 +1732,16 @@ class TokenDeployer {
     return code !== '0x';
   }
 
+  applyDefaults(token, config) {
+    return {
+      template: config.template,
+      batchSize: config.batchSize,
+      deterministic: config.deterministic,
+      salt: config.salt,
+      ...token
+    };
+  }
+
   async getNetworkInfo() {
     const network = await this.provider.getNetwork();
     const balance = await this.provider.getBalance(this.wallet.address);
@@ -263,11 +1749,12 @@ class TokenDeployer {
     return {
       chainId: network.chainId.toString(),
       name: network.name || 'unknown',
-      deployerBalance: ethers.formatEther(balance)
+      deployerBalance: ethers.formatEther(balance),
+      deployerBalanceWei: balance
     };
   }
 
-  saveDeploymentReport(network) {
+  saveDeploymentReport(network, chainId) {
     const deploymentDir = path.join(__dirname, 'deployments');
     if (!fs.existsSync(deploymentDir)) {
       fs.mkdirSync(deploymentDir, { recursive: true });
@@ -279,25 +1766,20 @@ class TokenDeployer {
     const report = {
       timestamp: new Date().toISOString(),
       network: network,
+      chainId: chainId,
       deployer: this.wallet.address,
-      deployments: this.deployments
+      deployments: this.deployments,
+      failures: this.failures.length > 0 ? this.failures : undefined
     };
 
     fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
     console.log(`Deployment report saved: ${reportPath}`);
 
-    // Also save a simple address mapping for easy access
-    const addressMap = {};
-    this.deployments.forEach(d => {
-      addressMap[d.symbol] = {
-        address: d.address,
-        decimals: d.decimals
-      };
-    });
-
-    const addressPath = path.join(deploymentDir, 'latest-addresses.json');
-    fs.writeFileSync(addressPath, JSON.stringify(addressMap, null, 2));
-    console.log(`Address mapping saved: ${addressPath}`);
+    // Also record the addresses per chain for easy access
+    const addressBook = new AddressBook().load();
+    this.deployments.forEach(d => addressBook.record(chainId, network, d, report.timestamp));
+    addressBook.save();
+    console.log(`Address book updated: ${addressBook.bookPath} (chain ${chainId})`);
   }
 
   async deploy() {
@@ -305,71 +1787,348 @@ class TokenDeployer {
     console.log('                  ERC20 TOKEN DEPLOYMENT                    ');
     console.log('════════════════════════════════════════════════════════\n');
 
+    let succeeded = true;
+
     try {
-      // Get network info
-      const networkInfo = await this.getNetworkInfo();
-      console.log(`Network: ${networkInfo.name} (Chain ID: ${networkInfo.chainId})`);
-      console.log(`Deployer: ${this.wallet.address}`);
-      console.log(`Balance: ${networkInfo.deployerBalance} ETH\n`);
+      // The signer's address is needed to validate tokens.json; it joins each network in turn.
+      // Exports and broadcasts never sign here, so an address-only signer stands in.
+      if (this.exportPath) {
+        this.wallet = new ethers.VoidSigner(this.exportAddress(), this.provider);
+        console.log(`Exporting unsigned transactions for: ${this.wallet.address}\n`);
+      } else if (this.broadcastPath) {
+        this.broadcastFile = offline.loadFile(this.broadcastPath);
+        if (this.broadcastFile.transactions.some(entry => !entry.signed)) {
+          throw new Error(`${this.broadcastPath} has unsigned transactions. Sign it with --sign first`);
+        }
+        this.wallet = new ethers.VoidSigner(this.broadcastFile.from, this.provider);
+        console.log(`Broadcasting transactions signed by: ${this.wallet.address}\n`);
+      } else {
+        this.wallet = await signers.loadSigner(this.provider);
+        console.log(`Signer: ${this.wallet.address} (${signers.describeSigner()})\n`);
+      }
 
       // Load token configurations
       const config = await this.loadTokenConfig();
-      console.log(`Tokens to deploy: ${config.tokens.length}\n`);
 
-      // Compile contract
-      await this.compileContract();
+      // Per-token settings fall back to the top-level defaults
+      const tokens = config.tokens.map(token => this.applyDefaults(token, config));
 
-      // Deploy each token
-      for (const token of config.tokens) {
-        try {
-          await this.deployToken(token);
-        } catch (error) {
-          console.error(`Failed to deploy ${token.name}:`, error.message);
-          if (config.continueOnError) {
-            continue;
-          } else {
-            throw error;
-          }
-        }
+      // A signed file goes back to the network it was exported for
+      if (this.broadcastFile && this.networks.length === 0 && config.networks) {
+        this.networks = [this.broadcastFile.network];
       }
 
-      // Summary
-      console.log('════════════════════════════════════════════════════════');
-      console.log('                  DEPLOYMENT SUMMARY                     ');
-      console.log('════════════════════════════════════════════════════════\n');
-
-      if (this.deployments.length > 0) {
-        console.log('✓ Successfully Deployed:');
-        this.deployments.forEach(d => {
-          console.log(`  ${d.symbol}: ${d.address}`);
-          console.log(`    Name: ${d.name}`);
-          console.log(`    Initial Supply: ${d.initialSupply} (${d.decimals} decimals)`);
-          const features = [];
-          if (d.mintable) features.push('Mintable');
-          if (d.burnable) features.push('Burnable');
-          if (d.pausable) features.push('Pausable');
-          if (features.length > 0) {
-            console.log(`    Features: ${features.join(', ')}`);
-          }
-          console.log('');
-        });
+      // Refuse to start if any configured RPC URL points at an unexpected chain
+      const targets = networks.resolveTargets(config, this.networks);
+      if ((this.exportPath || this.broadcastFile) && targets.length !== 1) {
+        throw new Error(`${this.exportPath ? '--export' : '--broadcast'} works on one network at a time. Pick it with --network`);
+      }
+      for (const target of targets) {
+        target.provider = networks.connect(target.rpcUrl, target.chainId);
+        if (target.chainId !== null) {
+          await networks.checkChainId(target.provider, target);
+        }
+      }
+      if (targets.length > 1) {
+        console.log(`Target networks: ${targets.map(target => target.name).join(', ')}\n`);
+      }
 
-        // Save deployment report
-        this.saveDeploymentReport(config.network || networkInfo.name);
-      } else {
-        console.log('No tokens were deployed successfully.');
+      // Compile the templates in use, plus the simulator for cost previews and the multi-send helper
+      const templateNames = [...new Set(tokens.map(token => token.template || templates.DEFAULT_TEMPLATE))];
+      // Several templates can share a contract
+      const tokenContracts = [...new Map(
+        templateNames.map(name => templates.getTemplate(name)).map(template => [template.contract, template])
+      ).values()];
+      const helpers = [{ source: 'DeploySimulator.sol', contract: 'DeploySimulator' }];
+      // Proxied tokens also need their implementation and the proxy contract
+      const proxyKinds = [...new Set(tokens.filter(token => token.proxy).map(token => token.proxy))];
+      const implementations = [...new Map(tokens.filter(token => token.proxy).map(token => {
+        const implementation = templates.implementation(templates.getTemplate(token.template), token.proxy);
+        return [implementation.contract, implementation];
+      })).values()];
+      helpers.push(...implementations, ...proxyKinds.map(kind => upgrades.PROXY_CONTRACTS[kind]));
+      if (tokens.some(token => this.isBatched(token))) {
+        helpers.push({ source: 'MultiSend.sol', contract: 'MultiSend' });
+      }
+      if (tokens.some(token => token.airdrop)) {
+        helpers.push({ source: 'MerkleDistributor.sol', contract: 'MerkleDistributor' });
       }
+      if (tokens.some(token => token.faucet)) {
+        helpers.push({ source: 'TokenFaucet.sol', contract: 'TokenFaucet' });
+      }
+      if (tokens.some(token => vesting.vestedIndices(token).length > 0)) {
+        helpers.push({ source: 'TokenVestingWallet.sol', contract: 'TokenVestingWallet' });
+      }
+      await this.compileContracts([...tokenContracts, ...helpers]);
+      tokenContracts.forEach(template => this.saveABI(template.contract));
+      implementations.forEach(implementation => this.saveABI(implementation.contract));
 
+      for (const target of targets) {
+        succeeded = await this.deployToNetwork(config, tokens, target) && succeeded;
+      }
     } catch (error) {
       console.error('\n✗ Deployment failed:', error.message);
       process.exit(1);
     }
+
+    // Dry runs and post-deploy audits report problems without throwing
+    if (!succeeded) {
+      process.exit(1);
+    }
+  }
+
+  // Deploys the token set to one network; returns false if a dry run found problems or an audit failed
+  async deployToNetwork(config, allTokens, target) {
+    this.provider = target.provider;
+    this.wallet = await signers.connectSigner(this.wallet, this.provider);
+    this.deployments = [];
+    this.failures = [];
+    this.failedAudits = [];
+
+    let tokens = target.name !== null ? networks.tokensForNetwork(allTokens, target.name) : allTokens;
+
+    // Get network info
+    const networkInfo = await this.getNetworkInfo();
+    const networkName = target.name || config.network || networkInfo.name;
+    console.log('────────────────────────────────────────────────────────');
+    console.log(`Network: ${networkName} (Chain ID: ${networkInfo.chainId})`);
+    console.log(`Deployer: ${this.wallet.address}`);
+    console.log(`Balance: ${networkInfo.deployerBalance} ETH\n`);
+
+    console.log(`Tokens to deploy: ${tokens.length}\n`);
+    if (tokens.length === 0) {
+      return true;
+    }
+
+    // Load state from previous runs on this chain
+    this.state = new DeploymentState(networkInfo.chainId).load();
+    if (this.force) {
+      console.log('--force given: ignoring previous deployment state\n');
+    }
+
+    // Set up gas and fee selection for this chain; network settings override the top-level ones
+    const gasConfig = { ...config.gas, ...target.gas };
+    this.fees = await new FeeStrategy(this.provider, FeeStrategy.resolveOptions(gasConfig)).init();
+    console.log(`Fees: ${this.fees.describe()}`);
+    const txConfig = { ...config.transactions, ...target.transactions };
+    this.waiter = new TransactionWaiter(this.provider, this.wallet, TransactionWaiter.resolveOptions(txConfig), this.fees);
+    console.log(`Confirmations: ${this.waiter.describe()}\n`);
+
+    if (this.exportPath) {
+      await this.exportTransactions(tokens, networkName, networkInfo);
+      return true;
+    }
+
+    if (this.broadcastFile) {
+      // The signed transactions are the whole batch; the run below only reads back what they did
+      await this.broadcastTransactions(tokens, networkInfo);
+    } else {
+      // Check that the whole batch is affordable before sending anything
+      const preview = await this.previewCosts(tokens, networkInfo);
+      if (this.dryRun) {
+        console.log(`Dry run complete for ${networkName} - no transactions were sent.\n`);
+        return preview.errors.length === 0 && preview.shortfall === 0n;
+      }
+      if (preview.errors.length > 0) {
+        const failed = preview.errors.map(({ symbol }) => symbol);
+        if (!config.continueOnError) {
+          throw new Error(`Simulation failed on ${networkName} for: ${failed.join(', ')}`);
+        }
+        // The other tokens go ahead; the ones that would fail are reported with the failures
+        console.log(`continueOnError: skipping ${failed.join(', ')}, which failed to simulate\n`);
+        preview.errors.forEach(({ symbol, error }) => this.failures.push({ symbol, error: `Simulation failed: ${error}` }));
+        tokens = tokens.filter(token => !failed.includes(token.symbol));
+      }
+      if (preview.shortfall > 0n) {
+        throw new Error(`Insufficient funds on ${networkName}: deployer balance is ${ethers.formatEther(preview.shortfall)} ETH short of the estimated cost`);
+      }
+    }
+
+    if (tokens.some(token => token.deterministic)) {
+      await this.ensureCreate2Factory();
+    }
+
+    // A broadcast already sent everything, so there is nothing to pipeline
+    const concurrency = this.concurrency || config.concurrency || 1;
+    const pipelineFailures = concurrency > 1 && !this.broadcastFile
+      ? await this.runPipeline(tokens, concurrency)
+      : new Map();
+
+    // Deploy each token; pipelined tokens resume after their deployment and transfers
+    for (const token of tokens) {
+      try {
+        if (pipelineFailures.has(token.symbol)) {
+          throw pipelineFailures.get(token.symbol);
+        }
+        await this.deployToken(token);
+      } catch (error) {
+        console.error(`Failed to deploy ${token.name}:`, error.message);
+        this.failures.push({ symbol: token.symbol, error: error.message });
+        // Hitting the spend cap ends the batch even with continueOnError
+        if (error instanceof SpendLimitError) {
+          break;
+        }
+        if (config.continueOnError) {
+          continue;
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Summary
+    console.log('════════════════════════════════════════════════════════');
+    console.log(`                  DEPLOYMENT SUMMARY (${networkName})`);
+    console.log('════════════════════════════════════════════════════════\n');
+
+    console.log(`Fees paid this run: ${ethers.formatEther(this.fees.spent)} ETH\n`);
+
+    if (this.deployments.length > 0) {
+      console.log('✓ Successfully Deployed:');
+      this.deployments.forEach(d => {
+        console.log(`  ${d.symbol}: ${d.address}${d.reused ? ' (existing)' : ''}`);
+        console.log(`    Name: ${d.name}`);
+        console.log(`    Template: ${d.template}`);
+        if (d.proxy) {
+          console.log(`    Proxy: ${d.proxy.kind}, implementation ${d.proxy.implementation}`);
+        }
+        console.log(`    Initial Supply: ${d.initialSupply} (${d.decimals} decimals)`);
+        if (d.features.length > 0) {
+          console.log(`    Features: ${d.features.join(', ')}`);
+        }
+        if (d.quirk) {
+          console.log(`    Quirk: ${d.quirk}`);
+        }
+        if (d.vesting) {
+          console.log(`    Vesting wallets: ${d.vesting.length}`);
+        }
+        if (d.airdrop) {
+          console.log(`    Airdrop: ${d.airdrop.total} to ${d.airdrop.recipients} recipients via ${d.airdrop.distributor}`);
+        }
+        if (d.faucet) {
+          console.log(`    Faucet: ${d.faucet.address} (${d.faucet.drip} per ${d.faucet.cooldown}s, ${d.faucet.minting ? 'minting' : `funded with ${d.faucet.fund}`})`);
+        }
+        if (d.audit && !d.audit.passed) {
+          console.log(`    ✗ Audit: ${d.audit.failures.length} check(s) failed`);
+        }
+        console.log('');
+      });
+
+      // Save deployment report
+      this.saveDeploymentReport(networkName, networkInfo.chainId);
+    } else {
+      console.log('No tokens were deployed successfully.');
+    }
+
+    if (this.failures.length > 0) {
+      console.log('✗ Failed:');
+      this.failures.forEach(f => console.log(`  ${f.symbol}: ${f.error}`));
+      console.log('');
+    }
+
+    // Tokens skipped as complete passed their audit when they were deployed
+    if (this.failedAudits.length > 0) {
+      console.error(`\n✗ Post-deploy audit failed on ${networkName} for: ${this.failedAudits.join(', ')}\n`);
+      return false;
+    }
+
+    return true;
+  }
+}
+
+// Signs an exported file with the configured signer. Needs no RPC, so it can run on an offline machine.
+async function signTransactions(filePath, outPath = offline.signedPath(filePath)) {
+  const file = offline.loadFile(filePath);
+  const signer = await signers.loadSigner(null);
+  if (signer instanceof ethers.JsonRpcSigner) {
+    throw new Error('--sign needs a local key (PRIVATE_KEY, KEYSTORE_PATH or MNEMONIC); an external signer cannot sign offline');
+  }
+
+  console.log(`Signing ${file.transactions.length} transactions for ${file.network} (chain ${file.chainId}) as ${signer.address}...`);
+  offline.saveFile(outPath, await offline.signFile(file, signer));
+  console.log(`✓ Signed transactions written: ${outPath}`);
+  console.log('  Broadcast with: node deployTokens.js --broadcast <signed file>');
+}
+
+function printWarnings(warnings) {
+  for (const warning of warnings) {
+    console.warn(`Warning: ${warning.path}: ${warning.message}`);
+  }
+}
+
+// Checks a token config without connecting to any network. The deployer's address, when one is
+// configured, lets the role settings be checked against it.
+function validateTokens(configPath = tokenConfig.defaultConfigPath(__dirname)) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Token configuration file not found: ${configPath}`);
+  }
+  const deployer = new TokenDeployer({ validateOnly: true });
+  let address = null;
+  try {
+    address = deployer.exportAddress();
+  } catch (error) {
+    console.log('No deployer address configured; role settings are checked without it');
+  }
+
+  console.log(`Validating ${configPath}...`);
+  let result;
+  try {
+    result = deployer.checkTokenConfig(configPath, address);
+  } catch (error) {
+    // Unreadable: a syntax error or a missing environment variable
+    console.error(`✗ ${error.message}`);
+    return false;
+  }
+  const { config, errors, warnings } = result;
+  printWarnings(warnings);
+  if (errors.length > 0) {
+    console.error(`✗ ${errors.length} error(s):`);
+    errors.forEach(problem => console.error(`  ${tokenConfig.formatProblems([problem])}`));
+    return false;
+  }
+  console.log(`✓ ${config.tokens.length} token(s) valid${warnings.length > 0 ? `, ${warnings.length} warning(s)` : ''}`);
+  return true;
+}
+
+function parseConcurrency(value) {
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(`Invalid --concurrency: ${value}. Must be a positive integer`);
+    process.exit(1);
   }
+  return concurrency;
 }
 
 // Main execution
 async function main() {
-  const deployer = new TokenDeployer();
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--validate')) {
+    const file = option('--validate');
+    if (!validateTokens(file && !file.startsWith('--') ? file : undefined)) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (args.includes('--sign')) {
+    await signTransactions(option('--sign'), option('--out'));
+    return;
+  }
+
+  const networkIndex = args.indexOf('--network');
+  const deployer = new TokenDeployer({
+    force: args.includes('--force'),
+    dryRun: args.includes('--dry-run'),
+    networks: networkIndex !== -1 && args[networkIndex + 1] ? args[networkIndex + 1].split(',') : [],
+    concurrency: option('--concurrency') !== undefined ? parseConcurrency(option('--concurrency')) : null,
+    exportPath: option('--export'),
+    broadcastPath: option('--broadcast')
+  });
   await deployer.deploy();
 }
 
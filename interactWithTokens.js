@@ -2,6 +2,17 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const AddressBook = require('./lib/addressBook');
+const networks = require('./lib/networks');
+const airdrop = require('./lib/airdrop');
+const templates = require('./lib/templates');
+const compiler = require('./lib/compiler');
+const signers = require('./lib/signers');
+const upgrades = require('./lib/upgrades');
+const roles = require('./lib/roles');
+const SafeBatch = require('./lib/safe');
+const DeploymentState = require('./lib/deploymentState');
+const TransactionWaiter = require('./lib/confirmations');
 require('dotenv').config();
 
 const ERC20_ABI = [
@@ -19,26 +30,195 @@ const ERC20_ABI = [
   "function unpause()",
   "function paused() view returns (bool)",
   "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
   "function grantRole(bytes32 role, address account)",
   "function revokeRole(bytes32 role, address account)",
   "function MINTER_ROLE() view returns (bytes32)",
   "function PAUSER_ROLE() view returns (bytes32)",
-  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)"
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function rebase(uint256 newTotalSupply)",
+  "function blockAccount(address account)",
+  "function unblockAccount(address account)",
+  "function isBlocked(address account) view returns (bool)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error EnforcedPause()",
+  "error AccountBlocked(address account)",
+  "error ZeroValueTransfer()",
+  "error NonZeroAllowance(address spender, uint256 allowance)",
+  "error InsufficientBalance(address account, uint256 balance, uint256 needed)"
+];
+
+// Reverts of sent transactions only carry raw revert data; name the custom errors we know
+function describeError(error) {
+  if (error.data && error.data !== '0x') {
+    const parsed = new ethers.Interface([...ERC20_ABI, ...DISTRIBUTOR_ABI, ...FAUCET_ABI]).parseError(error.data);
+    if (parsed) {
+      return `execution reverted: ${parsed.name}(${parsed.args.join(', ')})`;
+    }
+  }
+  return error.message;
+}
+
+const DISTRIBUTOR_ABI = [
+  "function token() view returns (address)",
+  "function deadline() view returns (uint256)",
+  "function isClaimed(address account) view returns (bool)",
+  "function claim(address account, uint256 amount, bytes32[] proof)",
+  "function sweep(address to)",
+  "error AlreadyClaimed(address account)",
+  "error InvalidProof(address account, uint256 amount)",
+  "error ClaimPeriodEnded(uint256 deadline)",
+  "error ClaimPeriodActive(uint256 deadline)",
+  "error OwnableUnauthorizedAccount(address account)"
+];
+
+const VESTING_WALLET_ABI = [
+  "function owner() view returns (address)",
+  "function start() view returns (uint256)",
+  "function cliff() view returns (uint256)",
+  "function end() view returns (uint256)",
+  "function released(address token) view returns (uint256)",
+  "function releasable(address token) view returns (uint256)",
+  "function vestedAmount(address token, uint64 timestamp) view returns (uint256)",
+  "function release(address token)"
+];
+
+const FAUCET_ABI = [
+  "function dripAmount() view returns (uint256)",
+  "function cooldown() view returns (uint256)",
+  "function minting() view returns (bool)",
+  "function lastDrip(address account) view returns (uint256)",
+  "function nextDripAt(address account) view returns (uint256)",
+  "function drip(address to)",
+  "error CooldownActive(address account, uint256 availableAt)",
+  "error FaucetEmpty(uint256 balance, uint256 needed)"
 ];
 
 class TokenInteractor {
-  constructor() {
-    this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+  // With `safe` set, admin calls are added to a Safe Transaction Builder batch (`batchPath`, by
+  // default deployments/safe/{chainId}-{safe}.json) instead of being sent. `from` picks the
+  // signer by name or address (see selectSigner in lib/signers.js); `holder` is the account
+  // whose balances read commands show, by default the signer's.
+  constructor(options = {}) {
+    this.provider = networks.connect(process.env.RPC_URL);
+    this.wallet = null;
+    this.waiter = null;
     this.tokens = {};
+    this.safe = options.safe ? ethers.getAddress(options.safe) : null;
+    this.batchPath = options.batchPath || null;
+    this.from = options.from || null;
+    this.holder = options.holder ? ethers.getAddress(options.holder) : null;
+    this.holderGiven = Boolean(options.holder);
+  }
+
+  // The account whose roles admin calls need: the Safe, or the signer
+  get sender() {
+    return this.safe || this.wallet.address;
+  }
+
+  // Settings of the signer picked with --from, or of the default one
+  signerEnv() {
+    return this.from ? signers.selectSigner(this.from) : process.env;
+  }
+
+  // The signer configured in .env (see lib/signers.js); a keystore may prompt for its password
+  async loadSigner() {
+    const env = this.signerEnv();
+    this.wallet = await signers.loadSigner(this.provider, env);
+    if (this.from) {
+      console.log(`Signing as ${this.wallet.address} (${signers.describeSigner(env)})`);
+    }
+    this.waiter = new TransactionWaiter(this.provider, this.wallet, TransactionWaiter.resolveOptions());
+  }
+
+  // Read commands need no signer: without --holder they show the signer's balances, as far as its
+  // address is known without unlocking it, and none if no signer is configured
+  resolveHolder() {
+    if (this.holder) {
+      return;
+    }
+    if (this.from && ethers.isAddress(this.from)) {
+      this.holder = ethers.getAddress(this.from);
+      return;
+    }
+    const env = this.signerEnv();
+    let config;
+    try {
+      config = signers.validateSignerConfig(env);
+    } catch (error) {
+      // Only a signer picked with --from has to be set up
+      if (this.from) {
+        throw error;
+      }
+      return;
+    }
+    const known = config.address || env.SIGNER_ADDRESS || env.DEPLOYER_ADDRESS;
+    this.holder = known ? ethers.getAddress(known) : null;
+  }
+
+  // Waits for a sent transaction with the CONFIRMATIONS and TX_TIMEOUT settings (see
+  // lib/confirmations.js); the receipt may be that of a fee-bumped replacement
+  async waitFor(tx) {
+    const receipt = await this.waiter.wait(tx);
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${receipt.hash} reverted`);
+    }
+    return receipt;
   }
 
+  // Picks the address book entries for the chain the provider is connected to
   async loadTokenAddresses() {
-    const addressesPath = path.join(__dirname, 'deployments', 'latest-addresses.json');
-    if (!fs.existsSync(addressesPath)) {
-      throw new Error('No deployment addresses found. Run deployment first.');
+    const network = await this.provider.getNetwork();
+    const chainId = network.chainId.toString();
+
+    const addressBook = new AddressBook();
+    if (!addressBook.exists()) {
+      // Deployments made before the address book existed only wrote a single mapping
+      const legacyPath = path.join(__dirname, 'deployments', 'latest-addresses.json');
+      if (!fs.existsSync(legacyPath)) {
+        throw new Error('No deployment addresses found. Run deployment first.');
+      }
+      console.warn(`Warning: using ${legacyPath}, which does not record a chain ID`);
+      this.tokens = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      return;
+    }
+
+    this.tokens = addressBook.load().getTokens(chainId);
+    if (Object.keys(this.tokens).length === 0) {
+      throw new Error(`No deployments recorded for chain ${chainId}. Run deployment first.`);
+    }
+  }
+
+  // Fails early, with the role's name, when the sender lacks a role a call needs
+  async requireRole(contract, roleHash, roleName) {
+    if (!(await contract.hasRole(roleHash, this.sender))) {
+      throw new Error(`${this.safe ? 'Safe' : 'Address'} ${this.sender} does not have ${roleName}`);
     }
-    this.tokens = JSON.parse(fs.readFileSync(addressesPath, 'utf8'));
+  }
+
+  // Sends an admin call, or with --safe checks it from the Safe's address and adds it to the batch
+  async sendAdminCall(contract, method, args, description, confirmed) {
+    if (!this.safe) {
+      const tx = await contract[method](...args);
+      console.log(`Transaction hash: ${tx.hash}`);
+
+      const receipt = await this.waitFor(tx);
+      console.log(`✓ ${confirmed} in block ${receipt.blockNumber}`);
+      return receipt;
+    }
+
+    // A call that would revert fails now rather than when the owners execute the batch
+    await this.provider.call({ from: this.safe, to: contract.target, data: contract.interface.encodeFunctionData(method, args) });
+
+    const network = await this.provider.getNetwork();
+    const batch = new SafeBatch(network.chainId, this.safe, this.batchPath).load();
+    batch.add(contract, method, args, description);
+    const batchPath = batch.save();
+    console.log(`✓ Added to Safe batch (${batch.transactions.length} transactions): ${batchPath}`);
+    console.log('  Load it in the Safe Transaction Builder to review and execute');
+    return null;
   }
 
   async getTokenInfo(symbol) {
@@ -53,17 +233,21 @@ class TokenInteractor {
       contract.name(),
       contract.totalSupply(),
       contract.decimals(),
-      contract.balanceOf(this.wallet.address)
+      this.holder ? contract.balanceOf(this.holder) : null
     ]);
 
-    return {
+    const info = {
       name,
       symbol,
       address: tokenData.address,
       decimals,
-      totalSupply: ethers.formatUnits(totalSupply, decimals),
-      balance: ethers.formatUnits(balance, decimals)
+      totalSupply: ethers.formatUnits(totalSupply, decimals)
     };
+    if (this.holder) {
+      info.holder = this.holder;
+      info.balance = ethers.formatUnits(balance, decimals);
+    }
+    return info;
   }
 
   async transfer(symbol, to, amount) {
@@ -77,11 +261,18 @@ class TokenInteractor {
     const amountWei = ethers.parseUnits(amount.toString(), decimals);
 
     console.log(`Transferring ${amount} ${symbol} to ${to}...`);
+    const balanceBefore = await contract.balanceOf(to);
     const tx = await contract.transfer(to, amountWei);
     console.log(`Transaction hash: ${tx.hash}`);
     
-    const receipt = await tx.wait();
+    const receipt = await this.waitFor(tx);
     console.log(`✓ Transfer confirmed in block ${receipt.blockNumber}`);
+
+    // Fee-on-transfer and rebasing tokens credit a different amount than was sent
+    const received = (await contract.balanceOf(to)) - balanceBefore;
+    if (received !== amountWei && to.toLowerCase() !== this.wallet.address.toLowerCase()) {
+      console.log(`  Note: recipient balance changed by ${ethers.formatUnits(received, decimals)} ${symbol}`);
+    }
     return receipt;
   }
 
@@ -95,11 +286,23 @@ class TokenInteractor {
     const decimals = await contract.decimals();
     const amountWei = ethers.parseUnits(amount.toString(), decimals);
 
+    // Tokens with approval race protection only accept a new allowance after a reset to zero
+    const current = await contract.allowance(this.wallet.address, spender);
+    if (current > 0n && amountWei > 0n) {
+      try {
+        await contract.approve.estimateGas(spender, amountWei);
+      } catch (error) {
+        console.log(`Resetting the current allowance of ${ethers.formatUnits(current, decimals)} ${symbol} to 0...`);
+        const reset = await contract.approve(spender, 0);
+        await this.waitFor(reset);
+      }
+    }
+
     console.log(`Approving ${amount} ${symbol} for ${spender}...`);
     const tx = await contract.approve(spender, amountWei);
     console.log(`Transaction hash: ${tx.hash}`);
     
-    const receipt = await tx.wait();
+    const receipt = await this.waitFor(tx);
     console.log(`✓ Approval confirmed in block ${receipt.blockNumber}`);
     return receipt;
   }
@@ -110,26 +313,16 @@ class TokenInteractor {
       throw new Error(`Token ${symbol} not found`);
     }
 
-    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet);
+    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet || this.provider);
     
     // Check if caller has minter role
-    const MINTER_ROLE = await contract.MINTER_ROLE();
-    const hasMinterRole = await contract.hasRole(MINTER_ROLE, this.wallet.address);
-    
-    if (!hasMinterRole) {
-      throw new Error(`Address ${this.wallet.address} does not have MINTER_ROLE`);
-    }
+    await this.requireRole(contract, await contract.MINTER_ROLE(), 'MINTER_ROLE');
 
     const decimals = await contract.decimals();
     const amountWei = ethers.parseUnits(amount.toString(), decimals);
 
     console.log(`Minting ${amount} ${symbol} to ${to}...`);
-    const tx = await contract.mint(to, amountWei);
-    console.log(`Transaction hash: ${tx.hash}`);
-    
-    const receipt = await tx.wait();
-    console.log(`✓ Minting confirmed in block ${receipt.blockNumber}`);
-    return receipt;
+    return this.sendAdminCall(contract, 'mint', [to, amountWei], `Mint ${amount} ${symbol} to ${to}`, 'Minting confirmed');
   }
 
   async burn(symbol, amount) {
@@ -146,7 +339,7 @@ class TokenInteractor {
     const tx = await contract.burn(amountWei);
     console.log(`Transaction hash: ${tx.hash}`);
     
-    const receipt = await tx.wait();
+    const receipt = await this.waitFor(tx);
     console.log(`✓ Burn confirmed in block ${receipt.blockNumber}`);
     return receipt;
   }
@@ -157,7 +350,7 @@ class TokenInteractor {
       throw new Error(`Token ${symbol} not found`);
     }
 
-    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet);
+    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet || this.provider);
     
     let roleHash;
     switch(role.toUpperCase()) {
@@ -174,13 +367,12 @@ class TokenInteractor {
         roleHash = role; // Assume it's already a hash
     }
 
+    // Only holders of the role's admin role may grant it
+    const adminRole = await contract.getRoleAdmin(roleHash);
+    await this.requireRole(contract, adminRole, adminRole === roles.roleHash('DEFAULT_ADMIN_ROLE') ? 'DEFAULT_ADMIN_ROLE' : `admin role ${adminRole}`);
+
     console.log(`Granting ${role} role to ${account}...`);
-    const tx = await contract.grantRole(roleHash, account);
-    console.log(`Transaction hash: ${tx.hash}`);
-    
-    const receipt = await tx.wait();
-    console.log(`✓ Role granted in block ${receipt.blockNumber}`);
-    return receipt;
+    return this.sendAdminCall(contract, 'grantRole', [roleHash, account], `Grant ${role} on ${symbol} to ${account}`, 'Role granted');
   }
 
   async pause(symbol) {
@@ -189,15 +381,11 @@ class TokenInteractor {
       throw new Error(`Token ${symbol} not found`);
     }
 
-    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet);
+    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet || this.provider);
+    await this.requireRole(contract, await contract.PAUSER_ROLE(), 'PAUSER_ROLE');
     
     console.log(`Pausing ${symbol}...`);
-    const tx = await contract.pause();
-    console.log(`Transaction hash: ${tx.hash}`);
-    
-    const receipt = await tx.wait();
-    console.log(`✓ Token paused in block ${receipt.blockNumber}`);
-    return receipt;
+    return this.sendAdminCall(contract, 'pause', [], `Pause ${symbol}`, 'Token paused');
   }
 
   async unpause(symbol) {
@@ -206,14 +394,411 @@ class TokenInteractor {
       throw new Error(`Token ${symbol} not found`);
     }
 
-    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet);
+    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet || this.provider);
+    await this.requireRole(contract, await contract.PAUSER_ROLE(), 'PAUSER_ROLE');
     
     console.log(`Unpausing ${symbol}...`);
-    const tx = await contract.unpause();
+    return this.sendAdminCall(contract, 'unpause', [], `Unpause ${symbol}`, 'Token unpaused');
+  }
+
+  // Rebasing tokens only: sets a new total supply, scaling every balance
+  async rebase(symbol, newTotalSupply) {
+    const tokenData = this.tokens[symbol];
+    if (!tokenData) {
+      throw new Error(`Token ${symbol} not found`);
+    }
+
+    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet);
+    const decimals = await contract.decimals();
+    const supplyWei = ethers.parseUnits(newTotalSupply.toString(), decimals);
+
+    console.log(`Rebasing ${symbol} to a total supply of ${newTotalSupply}...`);
+    const tx = await contract.rebase(supplyWei);
     console.log(`Transaction hash: ${tx.hash}`);
-    
-    const receipt = await tx.wait();
-    console.log(`✓ Token unpaused in block ${receipt.blockNumber}`);
+
+    const receipt = await this.waitFor(tx);
+    console.log(`✓ Rebase confirmed in block ${receipt.blockNumber}`);
+    return receipt;
+  }
+
+  // Blocklist tokens only
+  async setBlocked(symbol, account, blocked) {
+    const tokenData = this.tokens[symbol];
+    if (!tokenData) {
+      throw new Error(`Token ${symbol} not found`);
+    }
+
+    const contract = new ethers.Contract(tokenData.address, ERC20_ABI, this.wallet);
+
+    console.log(`${blocked ? 'Blocking' : 'Unblocking'} ${account} on ${symbol}...`);
+    const tx = blocked ? await contract.blockAccount(account) : await contract.unblockAccount(account);
+    console.log(`Transaction hash: ${tx.hash}`);
+
+    const receipt = await this.waitFor(tx);
+    console.log(`✓ ${blocked ? 'Blocked' : 'Unblocked'} in block ${receipt.blockNumber}`);
+    return receipt;
+  }
+
+  // The claims file written at deployment holds the distributor address and every proof
+  async loadAirdrop(symbol) {
+    const network = await this.provider.getNetwork();
+    const claimsFile = airdrop.loadClaims(network.chainId.toString(), symbol);
+    const distributor = new ethers.Contract(claimsFile.distributor, DISTRIBUTOR_ABI, this.wallet || this.provider);
+    return { claimsFile, distributor };
+  }
+
+  async claim(symbol, account) {
+    const { claimsFile, distributor } = await this.loadAirdrop(symbol);
+    const entry = claimsFile.claims[ethers.getAddress(account)];
+    if (!entry) {
+      throw new Error(`${account} is not in the ${symbol} airdrop`);
+    }
+    if (await distributor.isClaimed(account)) {
+      throw new Error(`${account} has already claimed its ${symbol} airdrop`);
+    }
+
+    const amount = ethers.formatUnits(entry.amount, claimsFile.decimals);
+    console.log(`Claiming ${amount} ${symbol} for ${account}...`);
+    const tx = await distributor.claim(account, entry.amount, entry.proof);
+    console.log(`Transaction hash: ${tx.hash}`);
+
+    const receipt = await this.waitFor(tx);
+    console.log(`✓ Claim confirmed in block ${receipt.blockNumber}`);
+    return receipt;
+  }
+
+  async claimStatus(symbol, account) {
+    const { claimsFile, distributor } = await this.loadAirdrop(symbol);
+    const entry = claimsFile.claims[ethers.getAddress(account)];
+    const token = new ethers.Contract(claimsFile.token, ERC20_ABI, this.provider);
+
+    const [claimed, remaining, block] = await Promise.all([
+      entry ? distributor.isClaimed(account) : false,
+      token.balanceOf(claimsFile.distributor),
+      this.provider.getBlock('latest')
+    ]);
+
+    return {
+      symbol,
+      account,
+      distributor: claimsFile.distributor,
+      eligible: Boolean(entry),
+      amount: entry ? ethers.formatUnits(entry.amount, claimsFile.decimals) : '0',
+      claimed,
+      deadline: new Date(claimsFile.deadline * 1000).toISOString(),
+      open: block.timestamp <= claimsFile.deadline,
+      unclaimed: ethers.formatUnits(remaining, claimsFile.decimals)
+    };
+  }
+
+  // Sends whatever was not claimed to `to` once the deadline has passed (distributor owner only)
+  async sweep(symbol, to = this.wallet.address) {
+    const { claimsFile, distributor } = await this.loadAirdrop(symbol);
+    const block = await this.provider.getBlock('latest');
+    if (block.timestamp <= claimsFile.deadline) {
+      throw new Error(`The ${symbol} airdrop is open until ${new Date(claimsFile.deadline * 1000).toISOString()}`);
+    }
+
+    console.log(`Sweeping unclaimed ${symbol} to ${to}...`);
+    const tx = await distributor.sweep(to);
+    console.log(`Transaction hash: ${tx.hash}`);
+
+    const receipt = await this.waitFor(tx);
+    console.log(`✓ Sweep confirmed in block ${receipt.blockNumber}`);
+    return receipt;
+  }
+
+  // Vesting wallets of the token, optionally only the one of a beneficiary or wallet address
+  getVestingWallets(symbol, account = null) {
+    const tokenData = this.tokens[symbol];
+    if (!tokenData) {
+      throw new Error(`Token ${symbol} not found`);
+    }
+
+    const wallets = (tokenData.vesting || []).filter(entry => !account ||
+      [entry.beneficiary, entry.wallet].some(address => address.toLowerCase() === account.toLowerCase()));
+    if (wallets.length === 0) {
+      throw new Error(account ? `No ${symbol} vesting wallet for ${account}` : `Token ${symbol} has no vesting wallets`);
+    }
+    return wallets;
+  }
+
+  async vestingStatus(symbol, account = null) {
+    const tokenData = this.tokens[symbol];
+    const block = await this.provider.getBlock('latest');
+
+    const status = [];
+    for (const entry of this.getVestingWallets(symbol, account)) {
+      const wallet = new ethers.Contract(entry.wallet, VESTING_WALLET_ABI, this.provider);
+      const [vested, released, releasable] = await Promise.all([
+        wallet.vestedAmount(tokenData.address, block.timestamp),
+        wallet.released(tokenData.address),
+        wallet.releasable(tokenData.address)
+      ]);
+      status.push({
+        beneficiary: entry.beneficiary,
+        wallet: entry.wallet,
+        allocation: entry.amount,
+        start: entry.start,
+        cliff: entry.cliff,
+        end: entry.end,
+        vested: ethers.formatUnits(vested, tokenData.decimals),
+        released: ethers.formatUnits(released, tokenData.decimals),
+        releasable: ethers.formatUnits(releasable, tokenData.decimals)
+      });
+    }
+    return status;
+  }
+
+  // Anyone can release; the tokens always go to the wallet's beneficiary
+  async release(symbol, account) {
+    const tokenData = this.tokens[symbol];
+    const [entry] = this.getVestingWallets(symbol, account);
+    const wallet = new ethers.Contract(entry.wallet, VESTING_WALLET_ABI, this.wallet);
+
+    const releasable = await wallet.releasable(tokenData.address);
+    if (releasable === 0n) {
+      throw new Error(`Nothing to release from ${entry.wallet} yet (cliff: ${entry.cliff})`);
+    }
+
+    console.log(`Releasing ${ethers.formatUnits(releasable, tokenData.decimals)} ${symbol} to ${entry.beneficiary}...`);
+    const tx = await wallet.release(tokenData.address);
+    console.log(`Transaction hash: ${tx.hash}`);
+
+    const receipt = await this.waitFor(tx);
+    console.log(`✓ Release confirmed in block ${receipt.blockNumber}`);
+    return receipt;
+  }
+
+  getFaucet(symbol, runner) {
+    const tokenData = this.tokens[symbol];
+    if (!tokenData) {
+      throw new Error(`Token ${symbol} not found`);
+    }
+    if (!tokenData.faucet) {
+      throw new Error(`Token ${symbol} has no faucet`);
+    }
+    return new ethers.Contract(tokenData.faucet.address, FAUCET_ABI, runner);
+  }
+
+  async faucet(symbol, to) {
+    const tokenData = this.tokens[symbol];
+    const faucet = this.getFaucet(symbol, this.wallet);
+
+    const [availableAt, block] = await Promise.all([faucet.nextDripAt(to), this.provider.getBlock('latest')]);
+    if (BigInt(block.timestamp) < availableAt) {
+      throw new Error(`${to} is in its cooldown until ${new Date(Number(availableAt) * 1000).toISOString()}`);
+    }
+
+    console.log(`Requesting ${tokenData.faucet.drip} ${symbol} from the faucet for ${to}...`);
+    const tx = await faucet.drip(to);
+    console.log(`Transaction hash: ${tx.hash}`);
+
+    const receipt = await this.waitFor(tx);
+    console.log(`✓ Drip confirmed in block ${receipt.blockNumber}`);
+    return receipt;
+  }
+
+  // Faucet settings and balance, plus the cooldown of one address if given
+  async faucetStatus(symbol, account = null) {
+    const tokenData = this.tokens[symbol];
+    const faucet = this.getFaucet(symbol, this.provider);
+    const token = new ethers.Contract(tokenData.address, ERC20_ABI, this.provider);
+
+    const [dripAmount, cooldown, minting, balance, block] = await Promise.all([
+      faucet.dripAmount(),
+      faucet.cooldown(),
+      faucet.minting(),
+      token.balanceOf(tokenData.faucet.address),
+      this.provider.getBlock('latest')
+    ]);
+
+    const status = {
+      symbol,
+      faucet: tokenData.faucet.address,
+      drip: ethers.formatUnits(dripAmount, tokenData.decimals),
+      cooldown: `${cooldown}s`,
+      supply: minting ? 'mints on each drip' : 'funded',
+      balance: ethers.formatUnits(balance, tokenData.decimals),
+      dripsLeft: minting ? null : (balance / dripAmount).toString()
+    };
+
+    if (account) {
+      const [lastDrip, availableAt] = await Promise.all([faucet.lastDrip(account), faucet.nextDripAt(account)]);
+      const wait = availableAt > BigInt(block.timestamp) ? availableAt - BigInt(block.timestamp) : 0n;
+      status.account = {
+        address: account,
+        lastDrip: lastDrip === 0n ? null : new Date(Number(lastDrip) * 1000).toISOString(),
+        nextDrip: wait === 0n ? 'now' : new Date(Number(availableAt) * 1000).toISOString(),
+        cooldownRemaining: `${wait}s`
+      };
+    }
+    return status;
+  }
+
+  // Compiles the template's implementation, checks that its storage layout extends the current
+  // one, deploys it and points the proxy at it
+  async upgrade(symbol, templateName) {
+    const tokenData = this.tokens[symbol];
+    if (!tokenData) {
+      throw new Error(`Token ${symbol} not found`);
+    }
+    if (!tokenData.proxy) {
+      throw new Error(`Token ${symbol} is not deployed behind a proxy`);
+    }
+
+    const network = await this.provider.getNetwork();
+    const chainId = network.chainId.toString();
+    const record = upgrades.loadLayout(chainId, symbol);
+    const { implementation: current, admin } = await upgrades.readProxy(this.provider, tokenData.address);
+    if (current !== record.implementation) {
+      throw new Error(`${symbol} proxy points at ${current}, not the recorded implementation ${record.implementation}`);
+    }
+
+    // Upgrades do not run an initializer, so the new template must be set up by the same settings
+    const previousTemplate = templates.getTemplate(record.template);
+    const template = templates.getTemplate(templateName);
+    const settings = t => t.args.map(arg => arg.name).join(', ');
+    if (settings(template) !== settings(previousTemplate)) {
+      throw new Error(`Template ${template.name} takes different settings (${settings(template)}) than ${previousTemplate.name} (${settings(previousTemplate)})`);
+    }
+
+    const source = templates.implementation(template, record.kind);
+    console.log(`Compiling ${source.contract}...`);
+    const artifact = compiler.compile([source])[source.contract];
+    compiler.saveBuildInfo(artifact.build);
+
+    const problems = upgrades.compareLayouts(record.storageLayout, artifact.storageLayout);
+    if (problems.length > 0) {
+      throw new Error(`Storage layout of ${source.contract} is incompatible with ${record.contract}:\n  ${problems.join('\n  ')}`);
+    }
+    console.log(`✓ Storage layout is compatible with ${record.contract}`);
+
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, this.wallet);
+    const implementation = await factory.deploy();
+    await this.waitFor(implementation.deploymentTransaction());
+    const implementationAddress = await implementation.getAddress();
+    console.log(`✓ Implementation deployed at ${implementationAddress}`);
+
+    console.log(`Upgrading ${symbol} (${record.kind} proxy ${tokenData.address})...`);
+    const tx = await upgrades.upgradeCall(record.kind, tokenData.address, admin, implementationAddress, this.wallet);
+    console.log(`Transaction hash: ${tx.hash}`);
+    const receipt = await this.waitFor(tx);
+
+    const after = await upgrades.readProxy(this.provider, tokenData.address);
+    if (after.implementation !== implementationAddress) {
+      throw new Error(`Upgrade confirmed but the proxy points at ${after.implementation}`);
+    }
+    console.log(`✓ Upgrade confirmed in block ${receipt.blockNumber}`);
+
+    upgrades.saveLayout(chainId, symbol, {
+      ...record,
+      template: template.name,
+      contract: source.contract,
+      implementation: implementationAddress,
+      storageLayout: artifact.storageLayout,
+      history: [...record.history, {
+        implementation: implementationAddress,
+        template: template.name,
+        contract: source.contract,
+        build: compiler.describeBuild(artifact),
+        txHash: tx.hash
+      }]
+    });
+    const addressBook = new AddressBook().load();
+    addressBook.recordUpgrade(chainId, symbol, {
+      implementation: implementationAddress,
+      implementationContract: source.contract,
+      template: template.name
+    });
+    addressBook.save();
+    return receipt;
+  }
+
+  // Resends a pending transaction of the signer with the same nonce and higher fees
+  async speedUp(txHash) {
+    const tx = await this.provider.getTransaction(txHash);
+    if (!tx) {
+      throw new Error(`Transaction ${txHash} not found`);
+    }
+    if (tx.blockNumber !== null) {
+      throw new Error(`Transaction ${txHash} was already mined in block ${tx.blockNumber}`);
+    }
+    if (ethers.getAddress(tx.from) !== ethers.getAddress(this.wallet.address)) {
+      throw new Error(`Transaction ${txHash} was sent by ${tx.from}, not by the signer ${this.wallet.address}`);
+    }
+
+    console.log(`Resending nonce ${tx.nonce} with fees ${this.waiter.bumpPercent}% higher...`);
+    const replacement = await this.waiter.replace(tx);
+    return this.awaitReplacement(tx, replacement, 'speed-up');
+  }
+
+  // Replaces the signer's pending transaction at `nonce` with an empty transfer to itself
+  async cancel(nonce) {
+    const [mined, sent] = await Promise.all([
+      this.provider.getTransactionCount(this.wallet.address, 'latest'),
+      this.provider.getTransactionCount(this.wallet.address, 'pending')
+    ]);
+    if (nonce < mined) {
+      throw new Error(`Nonce ${nonce} of ${this.wallet.address} is already used by a mined transaction`);
+    }
+    if (nonce >= sent) {
+      throw new Error(`${this.wallet.address} has no pending transaction with nonce ${nonce} (next nonce: ${sent})`);
+    }
+
+    // A pending deployment or transfer recorded by the deployer tells the fees to outbid
+    const pending = await this.findRecordedTransaction(tx => tx.nonce === nonce);
+    console.log(`Cancelling nonce ${nonce}${pending ? ` (tx ${pending.hash})` : ''}...`);
+    const replacement = await this.waiter.cancel(nonce, pending);
+    return this.awaitReplacement(pending, replacement, 'cancel');
+  }
+
+  // The deployment state of the connected chain (see lib/deploymentState.js)
+  async loadDeploymentState() {
+    const network = await this.provider.getNetwork();
+    return new DeploymentState(network.chainId).load();
+  }
+
+  // A pending transaction of the signer that the deployment state records and `match` accepts
+  async findRecordedTransaction(match) {
+    const state = await this.loadDeploymentState();
+    const hashes = Object.values(state.tokens).flatMap(token => [
+      ...(token.status === 'pending' && token.txHash ? [token.txHash] : []),
+      ...Object.values(token.transfers || {}).filter(transfer => !transfer.confirmed).map(transfer => transfer.txHash)
+    ]);
+    for (const hash of new Set(hashes)) {
+      const tx = await this.provider.getTransaction(hash);
+      if (tx && tx.blockNumber === null && ethers.getAddress(tx.from) === ethers.getAddress(this.wallet.address) && match(tx)) {
+        return tx;
+      }
+    }
+    return null;
+  }
+
+  // Records the replacement in the deployment state when it replaces a deployer transaction,
+  // so a resumed deployment waits for it, then waits for whichever of the two is mined
+  async awaitReplacement(original, replacement, reason) {
+    console.log(`Transaction hash: ${replacement.hash}`);
+
+    const state = await this.loadDeploymentState();
+    const symbol = original ? state.findTransaction(original.hash) : null;
+    if (symbol) {
+      state.recordReplacement(symbol, {
+        label: reason === 'cancel' ? `Cancel nonce ${replacement.nonce}` : `Speed-up of ${original.hash}`,
+        nonce: replacement.nonce,
+        original: original.hash,
+        replacement: replacement.hash,
+        reason
+      });
+      console.log(`  Recorded in the ${symbol} deployment state`);
+    }
+
+    const receipt = await this.waiter.wait(replacement, { replaced: original ? [original] : [] });
+    if (receipt.hash !== replacement.hash) {
+      console.log(`✗ The original transaction ${receipt.hash} was mined first, in block ${receipt.blockNumber}`);
+    } else {
+      console.log(`✓ ${reason === 'cancel' ? 'Cancellation' : 'Replacement'} confirmed in block ${receipt.blockNumber}`);
+    }
     return receipt;
   }
 
@@ -228,7 +813,9 @@ class TokenInteractor {
         console.log(`${info.name} (${symbol})`);
         console.log(`  Address: ${info.address}`);
         console.log(`  Total Supply: ${info.totalSupply}`);
-        console.log(`  Your Balance: ${info.balance}`);
+        if (info.holder) {
+          console.log(`  ${this.holderGiven ? `Balance of ${info.holder}` : 'Your Balance'}: ${info.balance}`);
+        }
         console.log('');
       } catch (error) {
         console.log(`${symbol}: Error loading - ${error.message}\n`);
@@ -237,13 +824,133 @@ class TokenInteractor {
   }
 }
 
+// Commands that --safe adds to a Safe batch instead of sending
+const SAFE_COMMANDS = ['mint', 'grant-role', 'pause', 'unpause'];
+
+// Commands that replace a pending transaction of the signer
+const TX_COMMANDS = ['speed-up', 'cancel'];
+
+// Commands that only read, so they need an RPC URL but no signer
+const READ_COMMANDS = ['list', 'info', 'vesting', 'faucet-status', 'claim-status'];
+
+// Every command; anything else (help included) prints the usage
+const COMMANDS = [
+  ...READ_COMMANDS, ...TX_COMMANDS, 'transfer', 'approve', 'mint', 'burn', 'grant-role', 'pause', 'unpause',
+  'rebase', 'block', 'unblock', 'faucet', 'upgrade', 'release', 'claim', 'sweep'
+];
+
+function printUsage() {
+  console.log('ERC20 Token Interaction Utility\n');
+  console.log('Commands:');
+  console.log('  list                                    - List all deployed tokens');
+  console.log('  info <SYMBOL>                          - Get token information');
+  console.log('  transfer <SYMBOL> <TO> <AMOUNT>        - Transfer tokens');
+  console.log('  approve <SYMBOL> <SPENDER> <AMOUNT>    - Approve token spending');
+  console.log('  mint <SYMBOL> <TO> <AMOUNT>            - Mint new tokens (requires MINTER_ROLE)');
+  console.log('  burn <SYMBOL> <AMOUNT>                 - Burn tokens');
+  console.log('  grant-role <SYMBOL> <ROLE> <ACCOUNT>   - Grant role to account');
+  console.log('  pause <SYMBOL>                         - Pause token transfers');
+  console.log('  unpause <SYMBOL>                       - Unpause token transfers');
+  console.log('  rebase <SYMBOL> <NEW_TOTAL_SUPPLY>     - Change the supply of a rebasing token');
+  console.log('  block <SYMBOL> <ACCOUNT>               - Block an account on a blocklist token');
+  console.log('  unblock <SYMBOL> <ACCOUNT>             - Unblock an account on a blocklist token');
+  console.log('  faucet <SYMBOL> <ADDRESS>              - Send one faucet drip to an address');
+  console.log('  faucet-status <SYMBOL> [ADDRESS]       - Show faucet balance, drip and an address\'s cooldown');
+  console.log('  upgrade <SYMBOL> <TEMPLATE>            - Upgrade a proxied token to a new implementation');
+  console.log('  vesting <SYMBOL> [BENEFICIARY]         - Show vested, released and releasable amounts');
+  console.log('  release <SYMBOL> <BENEFICIARY>         - Release vested tokens to a beneficiary');
+  console.log('  claim <SYMBOL> <ACCOUNT>               - Claim an airdrop allocation for an account');
+  console.log('  claim-status <SYMBOL> <ACCOUNT>        - Show an account\'s airdrop allocation and claim');
+  console.log('  sweep <SYMBOL> [TO]                    - Recover unclaimed airdrop tokens after the deadline');
+  console.log('  speed-up <TX_HASH>                     - Resend a pending transaction with higher fees');
+  console.log('  cancel <NONCE>                         - Replace a pending transaction with an empty one');
+  console.log('\nOptions:');
+  console.log('  --safe <ADDRESS>                       - Add mint, grant-role, pause and unpause calls to a Safe');
+  console.log('                                           Transaction Builder batch instead of sending them');
+  console.log('  --batch <FILE>                         - Batch file for --safe (default deployments/safe/{chainId}-{safe}.json)');
+  console.log('  --holder <ADDRESS>                     - Account for list, info, vesting, faucet-status and claim-status');
+  console.log('                                           (default: the signer, if one is configured)');
+  console.log('  --from <NAME|ADDRESS>                  - Signer to send with: a name from SIGNERS, or the address of a configured signer');
+  console.log('\nExamples:');
+  console.log('  node interactWithTokens.js list');
+  console.log('  node interactWithTokens.js info WBTC');
+  console.log('  node interactWithTokens.js info WBTC --holder 0x742d...');
+  console.log('  node interactWithTokens.js transfer USDC 0x742d... 1000');
+  console.log('  node interactWithTokens.js mint WETH 0x742d... 100');
+  console.log('  node interactWithTokens.js transfer USDC 0x742d... 1000 --from treasury');
+  console.log('  node interactWithTokens.js mint WETH 0x742d... 100 --safe 0x5afe...');
+}
+
+// Splits `--name value` options off the positional arguments
+function parseArgs(argv, names) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (names.includes(argv[i])) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { options, positional };
+}
+
 // CLI Interface
 async function main() {
-  const interactor = new TokenInteractor();
-  await interactor.loadTokenAddresses();
+  const { options, positional } = parseArgs(process.argv.slice(2), ['--safe', '--batch', '--holder', '--from']);
+  const [command, ...args] = positional;
+  const readOnly = READ_COMMANDS.includes(command);
 
-  const command = process.argv[2];
-  const args = process.argv.slice(3);
+  // Before any signer is loaded, so the usage shows without a key
+  if (!COMMANDS.includes(command)) {
+    printUsage();
+    return;
+  }
+
+  if (options.holder !== undefined) {
+    if (!ethers.isAddress(options.holder)) {
+      console.error(`Error: invalid holder address: ${options.holder}`);
+      process.exit(1);
+    }
+    if (!readOnly) {
+      console.error(`Error: --holder works with ${READ_COMMANDS.join(', ')}`);
+      process.exit(1);
+    }
+  }
+  if (options.from !== undefined && options.safe !== undefined) {
+    console.error('Error: --from and --safe cannot be combined; with --safe the Safe is the sender');
+    process.exit(1);
+  }
+
+  if (options.safe !== undefined) {
+    if (!ethers.isAddress(options.safe)) {
+      console.error(`Error: invalid Safe address: ${options.safe}`);
+      process.exit(1);
+    }
+    if (!SAFE_COMMANDS.includes(command)) {
+      console.error(`Error: --safe works with ${SAFE_COMMANDS.join(', ')}`);
+      process.exit(1);
+    }
+  }
+
+  const interactor = new TokenInteractor({ safe: options.safe, batchPath: options.batch, from: options.from, holder: options.holder });
+  try {
+    // Reads need no key, and neither do Safe batches, which the Safe's owners execute
+    if (readOnly) {
+      interactor.resolveHolder();
+    } else if (!interactor.safe) {
+      await interactor.loadSigner();
+    } else if ((await interactor.provider.getCode(interactor.safe)) === '0x') {
+      throw new Error(`No contract at Safe address ${interactor.safe}`);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+  // Speed-ups and cancellations work on the signer's transactions, not on a token
+  if (!TX_COMMANDS.includes(command)) {
+    await interactor.loadTokenAddresses();
+  }
 
   try {
     switch(command) {
@@ -315,27 +1022,106 @@ async function main() {
         }
         await interactor.unpause(args[0]);
         break;
+
+      case 'rebase':
+        if (args.length < 2) {
+          console.error('Usage: node interactWithTokens.js rebase <SYMBOL> <NEW_TOTAL_SUPPLY>');
+          process.exit(1);
+        }
+        await interactor.rebase(args[0], args[1]);
+        break;
+
+      case 'faucet':
+        if (args.length < 2) {
+          console.error('Usage: node interactWithTokens.js faucet <SYMBOL> <ADDRESS>');
+          process.exit(1);
+        }
+        await interactor.faucet(args[0], args[1]);
+        break;
+
+      case 'faucet-status':
+        if (args.length < 1) {
+          console.error('Usage: node interactWithTokens.js faucet-status <SYMBOL> [ADDRESS]');
+          process.exit(1);
+        }
+        console.log(await interactor.faucetStatus(args[0], args[1] || options.holder));
+        break;
+
+      case 'upgrade':
+        if (args.length < 2) {
+          console.error('Usage: node interactWithTokens.js upgrade <SYMBOL> <TEMPLATE>');
+          process.exit(1);
+        }
+        await interactor.upgrade(args[0], args[1]);
+        break;
+
+      case 'vesting':
+        if (args.length < 1) {
+          console.error('Usage: node interactWithTokens.js vesting <SYMBOL> [BENEFICIARY]');
+          process.exit(1);
+        }
+        console.log(await interactor.vestingStatus(args[0], args[1] || options.holder));
+        break;
+
+      case 'release':
+        if (args.length < 2) {
+          console.error('Usage: node interactWithTokens.js release <SYMBOL> <BENEFICIARY>');
+          process.exit(1);
+        }
+        await interactor.release(args[0], args[1]);
+        break;
+
+      case 'claim':
+        if (args.length < 2) {
+          console.error('Usage: node interactWithTokens.js claim <SYMBOL> <ACCOUNT>');
+          process.exit(1);
+        }
+        await interactor.claim(args[0], args[1]);
+        break;
+
+      case 'claim-status':
+        if (args.length < 1 || !(args[1] || options.holder)) {
+          console.error('Usage: node interactWithTokens.js claim-status <SYMBOL> <ACCOUNT>');
+          process.exit(1);
+        }
+        console.log(await interactor.claimStatus(args[0], args[1] || options.holder));
+        break;
+
+      case 'sweep':
+        if (args.length < 1) {
+          console.error('Usage: node interactWithTokens.js sweep <SYMBOL> [TO_ADDRESS]');
+          process.exit(1);
+        }
+        await interactor.sweep(args[0], args[1]);
+        break;
+
+      case 'block':
+      case 'unblock':
+        if (args.length < 2) {
+          console.error(`Usage: node interactWithTokens.js ${command} <SYMBOL> <ACCOUNT>`);
+          process.exit(1);
+        }
+        await interactor.setBlocked(args[0], args[1], command === 'block');
+        break;
       
-      default:
-        console.log('ERC20 Token Interaction Utility\n');
-        console.log('Commands:');
-        console.log('  list                                    - List all deployed tokens');
-        console.log('  info <SYMBOL>                          - Get token information');
-        console.log('  transfer <SYMBOL> <TO> <AMOUNT>        - Transfer tokens');
-        console.log('  approve <SYMBOL> <SPENDER> <AMOUNT>    - Approve token spending');
-        console.log('  mint <SYMBOL> <TO> <AMOUNT>            - Mint new tokens (requires MINTER_ROLE)');
-        console.log('  burn <SYMBOL> <AMOUNT>                 - Burn tokens');
-        console.log('  grant-role <SYMBOL> <ROLE> <ACCOUNT>   - Grant role to account');
-        console.log('  pause <SYMBOL>                         - Pause token transfers');
-        console.log('  unpause <SYMBOL>                       - Unpause token transfers');
-        console.log('\nExamples:');
-        console.log('  node interactWithTokens.js list');
-        console.log('  node interactWithTokens.js info WBTC');
-        console.log('  node interactWithTokens.js transfer USDC 0x742d... 1000');
-        console.log('  node interactWithTokens.js mint WETH 0x742d... 100');
+      case 'speed-up':
+        if (args.length < 1 || !ethers.isHexString(args[0], 32)) {
+          console.error('Usage: node interactWithTokens.js speed-up <TX_HASH>');
+          process.exit(1);
+        }
+        await interactor.speedUp(args[0]);
+        break;
+
+      case 'cancel':
+        if (args.length < 1 || !/^\d+$/.test(args[0])) {
+          console.error('Usage: node interactWithTokens.js cancel <NONCE>');
+          process.exit(1);
+        }
+        await interactor.cancel(Number(args[0]));
+        break;
     }
   } catch (error) {
-    console.error('Error:', error.message);
+    console.error('Error:', describeError(error));
     process.exit(1);
   }
 }
@@ -0,0 +1,154 @@
+// addressBook.js - Deployed token addresses per chain, with the history of every deployment
+const fs = require('fs');
+const path = require('path');
+
+const BOOK_PATH = path.join(__dirname, '..', 'deployments', 'address-book.json');
+
+class AddressBook {
+  constructor(bookPath = BOOK_PATH) {
+    this.bookPath = bookPath;
+    this.chains = {};
+  }
+
+  exists() {
+    return fs.existsSync(this.bookPath);
+  }
+
+  load() {
+    if (this.exists()) {
+      this.chains = JSON.parse(fs.readFileSync(this.bookPath, 'utf8'));
+    }
+    return this;
+  }
+
+  save() {
+    const dir = path.dirname(this.bookPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.bookPath, JSON.stringify(this.chains, null, 2));
+  }
+
+  // Makes the deployment the current entry for its symbol and appends it to the history
+  record(chainId, network, deployment, timestamp = new Date().toISOString()) {
+    const chain = this.chains[chainId] || (this.chains[chainId] = { network, tokens: {} });
+    chain.network = network;
+
+    const entry = chain.tokens[deployment.symbol] || { history: [] };
+    const last = entry.history[entry.history.length - 1];
+
+    // Re-runs that reuse an existing contract do not add a new history entry
+    if (!last || last.address.toLowerCase() !== deployment.address.toLowerCase()) {
+      entry.history.push({
+        address: deployment.address,
+        decimals: deployment.decimals,
+        deploymentTx: deployment.deploymentTx,
+        blockNumber: deployment.blockNumber,
+        deployedAt: timestamp
+      });
+    }
+
+    // Vesting wallets, the faucet and the proxy details belong to the current deployment only.
+    // A re-run that reuses the proxy keeps the implementation of any upgrade made since.
+    const sameProxy = entry.proxy && entry.address.toLowerCase() === deployment.address.toLowerCase();
+    chain.tokens[deployment.symbol] = {
+      ...entry,
+      address: deployment.address,
+      decimals: deployment.decimals,
+      vesting: deployment.vesting,
+      faucet: deployment.faucet,
+      proxy: sameProxy ? entry.proxy : (deployment.proxy ? { ...deployment.proxy, template: deployment.template } : undefined)
+    };
+  }
+
+  // Current addresses for a chain, in the { SYMBOL: { address, decimals, vesting, faucet, proxy } } shape
+  getTokens(chainId) {
+    const chain = this.chains[chainId.toString()];
+    if (!chain) {
+      return {};
+    }
+
+    const tokens = {};
+    for (const [symbol, entry] of Object.entries(chain.tokens)) {
+      tokens[symbol] = {
+        address: entry.address,
+        decimals: entry.decimals,
+        vesting: entry.vesting || [],
+        faucet: entry.faucet || null,
+        proxy: entry.proxy || null
+      };
+    }
+    return tokens;
+  }
+
+  // Points a proxied token at its new implementation after an upgrade
+  recordUpgrade(chainId, symbol, { implementation, implementationContract, template }) {
+    const entry = this.chains[chainId.toString()].tokens[symbol];
+    entry.proxy = { ...entry.proxy, implementation, implementationContract, template };
+  }
+
+  diff(chainA, chainB) {
+    const tokensA = this.getTokens(chainA);
+    const tokensB = this.getTokens(chainB);
+    const symbols = [...new Set([...Object.keys(tokensA), ...Object.keys(tokensB)])].sort();
+
+    return symbols.map(symbol => {
+      const a = tokensA[symbol];
+      const b = tokensB[symbol];
+      let status;
+      if (!a) {
+        status = 'only-b';
+      } else if (!b) {
+        status = 'only-a';
+      } else if (a.address.toLowerCase() === b.address.toLowerCase()) {
+        status = 'same';
+      } else {
+        status = 'different';
+      }
+      return { symbol, status, a: a ? a.address : null, b: b ? b.address : null };
+    });
+  }
+
+  // Removes a whole chain, or one symbol on it; returns the number of symbols removed
+  remove(chainId, symbol = null) {
+    const chain = this.chains[chainId];
+    if (!chain) {
+      return 0;
+    }
+
+    if (symbol === null) {
+      const count = Object.keys(chain.tokens).length;
+      delete this.chains[chainId];
+      return count;
+    }
+
+    if (!chain.tokens[symbol]) {
+      return 0;
+    }
+    delete chain.tokens[symbol];
+    if (Object.keys(chain.tokens).length === 0) {
+      delete this.chains[chainId];
+    }
+    return 1;
+  }
+
+  // Trims every history to its most recent entries; returns the number of entries dropped
+  trimHistory(keep) {
+    if (!Number.isInteger(keep) || keep < 1) {
+      throw new Error(`History length to keep must be a positive integer, got ${keep}`);
+    }
+
+    let dropped = 0;
+    for (const chain of Object.values(this.chains)) {
+      for (const entry of Object.values(chain.tokens)) {
+        if (entry.history.length > keep) {
+          dropped += entry.history.length - keep;
+          entry.history = entry.history.slice(-keep);
+        }
+      }
+    }
+    return dropped;
+  }
+}
+
+module.exports = AddressBook;
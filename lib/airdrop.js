@@ -0,0 +1,109 @@
+// airdrop.js - Merkle airdrops: recipient lists, claim trees and the claims file per chain
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const holders = require('./holders');
+const merkle = require('./merkle');
+const time = require('./time');
+
+const CLAIMS_DIR = path.join(__dirname, '..', 'deployments', 'airdrops');
+
+// Inline airdrop.recipients followed by the rows of airdrop.file (relative to the config file)
+function resolveRecipients(airdrop, baseDir) {
+  const inline = airdrop.recipients || [];
+  if (!airdrop.file) {
+    return inline;
+  }
+
+  const file = path.resolve(baseDir, airdrop.file);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Airdrop file not found: ${file}`);
+  }
+  return [...inline, ...holders.parseHoldersCsv(fs.readFileSync(file, 'utf8'), airdrop.file)];
+}
+
+function validateAirdrop(token) {
+  const airdrop = token.airdrop;
+  if (!airdrop.recipients || airdrop.recipients.length === 0) {
+    throw new Error(`Token ${token.name} airdrop has no recipients`);
+  }
+  if (time.parseTimestamp(airdrop.deadline) === null) {
+    throw new Error(`Token ${token.name} airdrop has invalid deadline: ${airdrop.deadline}. Use unix seconds or an ISO date`);
+  }
+
+  // The tree has one leaf per account, since claims are tracked per account
+  const seen = new Set();
+  for (const recipient of airdrop.recipients) {
+    if (!ethers.isAddress(recipient.address)) {
+      throw new Error(`Invalid airdrop address for ${token.name}: ${recipient.address}`);
+    }
+    const account = ethers.getAddress(recipient.address);
+    if (seen.has(account)) {
+      throw new Error(`Duplicate airdrop recipient for ${token.name}: ${account}`);
+    }
+    seen.add(account);
+
+    let amount;
+    try {
+      amount = ethers.parseUnits(recipient.amount, token.decimals);
+    } catch (error) {
+      amount = 0n;
+    }
+    if (amount <= 0n) {
+      throw new Error(`Invalid airdrop amount for ${token.name}: ${recipient.amount} (${recipient.address})`);
+    }
+  }
+}
+
+function totalAmount(token) {
+  return token.airdrop.recipients.reduce(
+    (sum, recipient) => sum + ethers.parseUnits(recipient.amount, token.decimals),
+    0n
+  );
+}
+
+// Root, total and the claim (amount in base units and proof) of every recipient
+function buildClaims(token) {
+  const entries = token.airdrop.recipients.map(recipient => ({
+    account: ethers.getAddress(recipient.address),
+    amount: ethers.parseUnits(recipient.amount, token.decimals)
+  }));
+  const tree = merkle.buildTree(entries.map(entry => merkle.claimLeaf(entry.account, entry.amount)));
+
+  const claims = {};
+  entries.forEach((entry, i) => {
+    claims[entry.account] = { amount: entry.amount.toString(), proof: tree.proofs[i] };
+  });
+  return { merkleRoot: tree.root, total: totalAmount(token), claims };
+}
+
+function claimsPath(chainId, symbol) {
+  return path.join(CLAIMS_DIR, `${chainId}-${symbol}.json`);
+}
+
+function saveClaims(chainId, symbol, claimsFile) {
+  if (!fs.existsSync(CLAIMS_DIR)) {
+    fs.mkdirSync(CLAIMS_DIR, { recursive: true });
+  }
+  const filePath = claimsPath(chainId, symbol);
+  fs.writeFileSync(filePath, JSON.stringify(claimsFile, null, 2));
+  return filePath;
+}
+
+function loadClaims(chainId, symbol) {
+  const filePath = claimsPath(chainId, symbol);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No airdrop claims file for ${symbol} on chain ${chainId} (${filePath})`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  resolveRecipients,
+  validateAirdrop,
+  totalAmount,
+  buildClaims,
+  claimsPath,
+  saveClaims,
+  loadClaims
+};
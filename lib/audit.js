@@ -0,0 +1,144 @@
+// audit.js - On-chain checks of a freshly deployed token against its configuration
+const { ethers } = require('ethers');
+const templates = require('./templates');
+const { matchesDeployedBytecode } = require('./bytecode');
+const roles = require('./roles');
+const airdrop = require('./airdrop');
+const vesting = require('./vesting');
+const faucets = require('./faucet');
+
+const VESTING_WALLET_ABI = [
+  'function owner() view returns (address)',
+  'function start() view returns (uint256)',
+  'function cliff() view returns (uint256)',
+  'function duration() view returns (uint256)'
+];
+
+const FAUCET_ABI = [
+  'function token() view returns (address)',
+  'function dripAmount() view returns (uint256)',
+  'function cooldown() view returns (uint256)',
+  'function minting() view returns (bool)'
+];
+
+// Balance of every account involved once the initial distribution and the airdrop and faucet
+// funding are done. Vested allocations are held by the holder's vesting wallet ({ index: wallet }).
+function expectedBalances(token, owner, { distributor = null, vestingWallets = {}, faucet = null } = {}) {
+  const balances = new Map();
+  const add = (account, amount) => {
+    const key = ethers.getAddress(account);
+    balances.set(key, (balances.get(key) || 0n) + amount);
+  };
+
+  add(owner, ethers.parseUnits(token.initialSupply, token.decimals));
+  for (const [index, holder] of (token.initialHolders || []).entries()) {
+    const amount = ethers.parseUnits(holder.amount, token.decimals);
+    add(owner, -amount);
+    add(vestingWallets[index] || holder.address, amount);
+  }
+  if (distributor) {
+    const total = airdrop.totalAmount(token);
+    add(owner, -total);
+    add(distributor, total);
+  }
+  if (faucet && !faucet.minting) {
+    const fund = faucets.reservedAmount(token);
+    add(owner, -fund);
+    add(faucet.address, fund);
+  }
+  return balances;
+}
+
+// Returns { passed, checks, failures }, where each failure is { check, expected, actual }.
+// `accounts` names the contracts that hold part of the supply or a role:
+// { distributor, vestingWallets, faucet }. For a proxied token `accounts.proxy` holds
+// { implementation, artifact }: `artifact` (the token's) is then checked at the implementation
+// and the proxy's own artifact at `address`.
+async function auditToken(provider, token, address, artifact, owner, accounts = {}) {
+  const template = templates.getTemplate(token.template);
+  const contract = new ethers.Contract(address, artifact.abi, provider);
+  const results = [];
+
+  // A read that reverts (e.g. no code at the address) fails its check instead of the audit
+  const check = async (name, expected, read, format = String) => {
+    let actual;
+    try {
+      actual = format(await read());
+    } catch (error) {
+      actual = `error: ${error.shortMessage || error.message}`;
+    }
+    results.push({ check: name, expected: format(expected), actual });
+  };
+  const units = value => ethers.formatUnits(value, token.decimals);
+
+  const checkCode = (name, codeAddress, expectedArtifact) => check(name, 'matches artifact', async () => {
+    const code = await provider.getCode(codeAddress);
+    if (code === '0x') {
+      return 'no code';
+    }
+    return matchesDeployedBytecode(code, expectedArtifact.deployedBytecode) ? 'matches artifact' : 'differs from artifact';
+  });
+
+  if (accounts.proxy) {
+    await checkCode('proxy runtime bytecode', address, accounts.proxy.artifact);
+    await checkCode('implementation runtime bytecode', accounts.proxy.implementation, artifact);
+  } else {
+    await checkCode('runtime bytecode', address, artifact);
+  }
+
+  // Every constructor argument with a getter of the same name, e.g. name(), decimals(), mintable(), cap()
+  const params = templates.recordParams(template, token);
+  for (const arg of template.args) {
+    const getter = arg.source ? null : contract.interface.getFunction(arg.name);
+    if (!getter || getter.inputs.length > 0) {
+      continue;
+    }
+    const expected = arg.units ? ethers.parseUnits(params[arg.name], token.decimals) : params[arg.name];
+    await check(`${arg.name}()`, expected, () => contract.getFunction(arg.name)(), arg.units ? units : String);
+  }
+
+  await check('totalSupply()', ethers.parseUnits(token.initialSupply, token.decimals), () => contract.totalSupply(), units);
+
+  for (const [account, amount] of expectedBalances(token, owner, accounts)) {
+    await check(`balanceOf(${account})`, amount, () => contract.balanceOf(account), units);
+  }
+
+  // Each vesting wallet belongs to its beneficiary and follows the configured schedule
+  for (const [index, wallet] of Object.entries(accounts.vestingWallets || {})) {
+    const holder = token.initialHolders[index];
+    const schedule = vesting.parseSchedule(holder.vesting);
+    const vestingWallet = new ethers.Contract(wallet, VESTING_WALLET_ABI, provider);
+    await check(`owner() of vesting wallet ${wallet}`, ethers.getAddress(holder.address), () => vestingWallet.owner());
+    await check(`start() of vesting wallet ${wallet}`, schedule.start, () => vestingWallet.start());
+    await check(`cliff() of vesting wallet ${wallet}`, schedule.start + schedule.cliff, () => vestingWallet.cliff());
+    await check(`duration() of vesting wallet ${wallet}`, schedule.duration, () => vestingWallet.duration());
+  }
+
+  if (accounts.faucet) {
+    const { drip, cooldown, minting } = faucets.parseFaucet(token);
+    const faucet = new ethers.Contract(accounts.faucet.address, FAUCET_ABI, provider);
+    await check('token() of faucet', ethers.getAddress(address), () => faucet.token());
+    await check('dripAmount() of faucet', drip, () => faucet.dripAmount(), units);
+    await check('cooldown() of faucet', cooldown, () => faucet.cooldown());
+    await check('minting() of faucet', minting, () => faucet.minting());
+  }
+
+  // Each role of the contract, for the deployer, the faucet and every account named in tokens.json
+  if (template.roles) {
+    const table = roles.expectedRoleTable(token, owner, accounts.faucet);
+    for (const role of Object.keys(template.roles(token))) {
+      for (const account of roles.roleCandidates(token, owner, accounts.faucet)) {
+        const expected = (table[role] || []).includes(account);
+        await check(`${role} of ${account}`, expected, () => contract.hasRole(roles.roleHash(role), account));
+      }
+    }
+  }
+
+  const failures = results.filter(result => result.expected !== result.actual);
+  return { passed: failures.length === 0, checks: results.length, failures };
+}
+
+module.exports = {
+  expectedBalances,
+  auditToken
+};
@@ -0,0 +1,26 @@
+// bytecode.js - Compare on-chain runtime code with a compiled artifact
+const { ethers } = require('ethers');
+
+// Immutable values are only written into the runtime code at deployment, so the compiler
+// output has zeros where they go. Those ranges are ignored in the comparison.
+function matchesDeployedBytecode(onchainCode, deployedBytecode) {
+  const actual = ethers.getBytes(onchainCode);
+  const expected = ethers.getBytes(`0x${deployedBytecode.object}`);
+
+  if (actual.length !== expected.length) {
+    return false;
+  }
+
+  const masked = new Uint8Array(actual);
+  for (const references of Object.values(deployedBytecode.immutableReferences || {})) {
+    for (const { start, length } of references) {
+      masked.fill(0, start, start + length);
+    }
+  }
+
+  return ethers.hexlify(masked) === ethers.hexlify(expected);
+}
+
+module.exports = {
+  matchesDeployedBytecode
+};
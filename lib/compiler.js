@@ -0,0 +1,139 @@
+// compiler.js - solc builds of the contracts in contracts/ and the OpenZeppelin contracts they use
+const solc = require('solc');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const BUILD_INFO_DIR = path.join(ROOT, 'deployments', 'build-info');
+
+// The EVM version is left to the installed solc's default; the saved build info spells out the
+// one it used (read back from the metadata), so it does not depend on the default of whichever
+// compiler reads it
+const SETTINGS = {
+  optimizer: {
+    enabled: true,
+    runs: 200
+  },
+  outputSelection: {
+    '*': {
+      '*': ['abi', 'metadata', 'evm.bytecode', 'evm.deployedBytecode', 'storageLayout']
+    }
+  }
+};
+
+// Version of the bundled solc as block explorers name it, e.g. v0.8.37+commit.f401782d
+function compilerVersion() {
+  return `v${solc.version().replace(/\.Emscripten\.clang$/, '')}`;
+}
+
+// Our contracts live in contracts/; imports (and sources such as the OpenZeppelin proxies) in node_modules
+function readSource(source) {
+  const sourcePath = source.startsWith('@openzeppelin/')
+    ? path.join(ROOT, 'node_modules', source)
+    : path.join(ROOT, 'contracts', source);
+  return fs.readFileSync(sourcePath, 'utf8');
+}
+
+function findImports(importPath) {
+  if (importPath.startsWith('@openzeppelin/')) {
+    const actualPath = path.join(ROOT, 'node_modules', importPath);
+    if (fs.existsSync(actualPath)) {
+      return {
+        contents: fs.readFileSync(actualPath, 'utf8')
+      };
+    }
+  }
+  return { error: `File not found: ${importPath}` };
+}
+
+// Compiles the given contracts in one solc run; each entry names a source file and the contract
+// in it. Returns { [contract]: { abi, bytecode, deployedBytecode, storageLayout, sourceName, contractName, build } }, where
+// `build` is the run's build info: the exact compiler version and the standard JSON input, with
+// every imported source filled in, that reproduces the bytecode.
+function compile(contracts) {
+  const sources = {};
+  for (const { source } of contracts) {
+    sources[source] = { content: readSource(source) };
+  }
+
+  const input = { language: 'Solidity', sources, settings: SETTINGS };
+  // solc asks for each import once; keep what it read so the saved input is self-contained
+  const imported = {};
+  const resolve = importPath => {
+    const result = findImports(importPath);
+    if (result.contents !== undefined) {
+      imported[importPath] = { content: result.contents };
+    }
+    return result;
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: resolve }));
+
+  const errors = (output.errors || []).filter(e => e.severity === 'error');
+  if (errors.length > 0) {
+    const error = new Error(`Compilation failed:\n${errors.map(err => err.formattedMessage).join('\n')}`);
+    error.compilerErrors = errors;
+    throw error;
+  }
+
+  const { source: first, contract: firstContract } = contracts[0];
+  const { evmVersion } = JSON.parse(output.contracts[first][firstContract].metadata).settings;
+  const fullInput = { ...input, sources: { ...sources, ...imported }, settings: { ...SETTINGS, evmVersion } };
+  const id = crypto.createHash('sha256').update(JSON.stringify(fullInput)).digest('hex').slice(0, 16);
+  const build = { id, compilerVersion: compilerVersion(), input: fullInput };
+
+  const artifacts = {};
+  for (const { source, contract } of contracts) {
+    const compiled = output.contracts[source][contract];
+    artifacts[contract] = {
+      abi: compiled.abi,
+      bytecode: compiled.evm.bytecode.object,
+      deployedBytecode: compiled.evm.deployedBytecode,
+      storageLayout: compiled.storageLayout,
+      sourceName: source,
+      contractName: contract,
+      build
+    };
+  }
+  return artifacts;
+}
+
+function buildInfoPath(id) {
+  return path.join(BUILD_INFO_DIR, `${id}.json`);
+}
+
+// Saves a build's info as deployments/build-info/{id}.json (once per build) and returns the path
+function saveBuildInfo(build) {
+  const filePath = buildInfoPath(build.id);
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(BUILD_INFO_DIR, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(build, null, 2));
+  }
+  return filePath;
+}
+
+function loadBuildInfo(id) {
+  const filePath = buildInfoPath(id);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Build info ${id} not found at ${filePath}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// What a deployment report records about the build of one of its contracts
+function describeBuild(artifact) {
+  return {
+    id: artifact.build.id,
+    compilerVersion: artifact.build.compilerVersion,
+    contractName: `${artifact.sourceName}:${artifact.contractName}`
+  };
+}
+
+module.exports = {
+  SETTINGS,
+  compilerVersion,
+  compile,
+  saveBuildInfo,
+  loadBuildInfo,
+  describeBuild
+};
@@ -0,0 +1,400 @@
+// config.js - Reading tokens.json (or YAML) with ${ENV} interpolation, and its schema
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const templates = require('./templates');
+const time = require('./time');
+const { VERIFIERS } = require('./verifiers');
+
+const CONFIG_FILES = ['tokens.json', 'tokens.yaml', 'tokens.yml'];
+
+// A node is { type, ... }: objects list their `properties` (any other key is an error) and the
+// `required` ones, or give `values` for maps with free keys; arrays give `items`. Amounts are
+// decimal strings, so that large values survive JSON and YAML number parsing.
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const ADDRESS = { type: 'address' };
+const AMOUNT = { type: 'amount' };
+const DURATION = { type: 'duration' };
+const TIMESTAMP = { type: 'timestamp' };
+const integer = (min, max = Infinity) => ({ type: 'integer', min, max });
+const oneOf = values => ({ type: 'enum', values });
+const list = items => ({ type: 'array', items });
+
+const HOLDER = {
+  type: 'object',
+  required: ['address', 'amount'],
+  properties: {
+    address: ADDRESS,
+    amount: AMOUNT,
+    vesting: {
+      type: 'object',
+      required: ['start', 'duration'],
+      properties: { start: TIMESTAMP, cliff: DURATION, duration: DURATION }
+    }
+  }
+};
+
+const TOKEN = {
+  type: 'object',
+  required: ['name', 'symbol', 'decimals', 'initialSupply'],
+  properties: {
+    name: STRING,
+    symbol: STRING,
+    decimals: integer(0, 255),
+    initialSupply: AMOUNT,
+    template: oneOf(Object.keys(templates.TEMPLATES)),
+    mintable: BOOLEAN,
+    burnable: BOOLEAN,
+    pausable: BOOLEAN,
+    cap: AMOUNT,
+    feeBps: integer(0, 65535),
+    initialHolders: list(HOLDER),
+    holdersFile: STRING,
+    batchSize: integer(1),
+    deterministic: BOOLEAN,
+    salt: STRING,
+    proxy: oneOf(templates.PROXY_KINDS),
+    networks: list(STRING),
+    admin: ADDRESS,
+    minters: list(ADDRESS),
+    pausers: list(ADDRESS),
+    renounceDeployerRoles: BOOLEAN,
+    airdrop: {
+      type: 'object',
+      required: ['deadline'],
+      properties: {
+        recipients: list({ type: 'object', required: ['address', 'amount'], properties: { address: ADDRESS, amount: AMOUNT } }),
+        file: STRING,
+        deadline: TIMESTAMP
+      }
+    },
+    faucet: {
+      type: 'object',
+      required: ['drip', 'cooldown'],
+      properties: { drip: AMOUNT, cooldown: DURATION, fund: AMOUNT }
+    }
+  }
+};
+
+// Fee and timing settings also come from .env, where every value is a string
+const NUMERIC = { type: 'numeric' };
+const WHOLE = { type: 'numeric', whole: true };
+const GAS = {
+  type: 'object',
+  properties: {
+    type: oneOf(['auto', 'legacy', 'eip1559']),
+    gasPriceGwei: NUMERIC,
+    maxFeeGwei: NUMERIC,
+    priorityFeeGwei: NUMERIC,
+    gasLimit: WHOLE,
+    bufferPercent: WHOLE,
+    maxTotalSpend: NUMERIC
+  }
+};
+const TRANSACTIONS = {
+  type: 'object',
+  properties: {
+    confirmations: integer(1),
+    timeout: DURATION,
+    onTimeout: oneOf(['bump', 'prompt', 'fail']),
+    bumpPercent: integer(10),
+    maxBumps: integer(0)
+  }
+};
+const VERIFY = {
+  type: 'object',
+  properties: { type: oneOf(Object.keys(VERIFIERS)), apiUrl: STRING }
+};
+
+const SCHEMA = {
+  type: 'object',
+  required: ['tokens'],
+  properties: {
+    $schema: STRING,
+    network: STRING,
+    continueOnError: BOOLEAN,
+    concurrency: integer(1),
+    template: oneOf(Object.keys(templates.TEMPLATES)),
+    batchSize: integer(1),
+    deterministic: BOOLEAN,
+    salt: STRING,
+    gas: GAS,
+    transactions: TRANSACTIONS,
+    verify: VERIFY,
+    networks: {
+      type: 'object',
+      values: {
+        type: 'object',
+        required: ['rpcUrl', 'chainId'],
+        properties: { rpcUrl: STRING, chainId: integer(1), gas: GAS, transactions: TRANSACTIONS, verify: VERIFY }
+      }
+    },
+    tokens: list(TOKEN)
+  }
+};
+
+// TOKENS_CONFIG_PATH, or the first of tokens.json, tokens.yaml and tokens.yml in `dir`
+function defaultConfigPath(dir) {
+  if (process.env.TOKENS_CONFIG_PATH) {
+    return process.env.TOKENS_CONFIG_PATH;
+  }
+  const found = CONFIG_FILES.map(file => path.join(dir, file)).find(file => fs.existsSync(file));
+  return found || path.join(dir, CONFIG_FILES[0]);
+}
+
+const VARIABLE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+// A value that is a single ${NAME} takes the type the schema expects there, so numbers and
+// booleans can come from the environment too. Anything that does not convert is left as the
+// string, for checkSchema to report.
+function convert(text, node) {
+  if (node && node.type === 'integer' && /^-?\d+$/.test(text)) {
+    return Number(text);
+  }
+  // Timestamps and durations also take strings ("2026-01-01", "90d"), so only plain seconds convert
+  if (node && (node.type === 'timestamp' || node.type === 'duration') && /^\d+$/.test(text)) {
+    return Number(text);
+  }
+  if (node && node.type === 'boolean' && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+  return text;
+}
+
+// Replaces ${NAME} (or ${NAME:-default}) in every string with the environment variable. `node` is
+// the schema of `value`, if known.
+function interpolate(value, env, where = '', node = SCHEMA) {
+  if (typeof value === 'string') {
+    const text = value.replace(VARIABLE, (match, name, fallback) => {
+      if (env[name] !== undefined && env[name] !== '') {
+        return env[name];
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      throw new Error(`${where || 'tokens.json'}: environment variable ${name} is not set`);
+    });
+    const whole = value.match(VARIABLE);
+    return whole && whole.length === 1 && whole[0] === value ? convert(text, node) : text;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolate(item, env, `${where}[${i}]`, node && node.items));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      const child = node && (node.values || (node.properties && node.properties[key]));
+      return [key, interpolate(item, env, where ? `${where}.${key}` : key, child)];
+    }));
+  }
+  return value;
+}
+
+// Parses the file by its extension (.yaml and .yml are YAML, anything else JSON) and fills in
+// environment variables
+function loadConfigFile(configPath, env = process.env) {
+  const text = fs.readFileSync(configPath, 'utf8');
+  let config;
+  try {
+    config = /\.ya?ml$/i.test(configPath) ? yaml.load(text, { filename: configPath }) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${configPath} must contain an object with a "tokens" list`);
+  }
+  return interpolate(config, env);
+}
+
+// Edit distance, to suggest the key a typo was meant to be
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+function checkValue(node, value, where, errors) {
+  const fail = message => errors.push({ path: where, message });
+
+  switch (node.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return fail(`must be an object, got ${describe(value)}`);
+      }
+      for (const key of node.required || []) {
+        if (value[key] === undefined) {
+          fail(`missing required field ${key}`);
+        }
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const child = where ? `${where}.${key}` : key;
+        const schema = node.values || node.properties[key];
+        if (schema) {
+          checkValue(schema, item, child, errors);
+          continue;
+        }
+        const known = Object.keys(node.properties);
+        const guess = known.find(name => distance(name.toLowerCase(), key.toLowerCase()) <= 2);
+        errors.push({ path: child, message: `unknown field${guess ? ` (did you mean ${guess}?)` : ''}` });
+      }
+      return;
+    }
+    case 'array':
+      if (!Array.isArray(value)) {
+        return fail(`must be a list, got ${describe(value)}`);
+      }
+      value.forEach((item, i) => checkValue(node.items, item, `${where}[${i}]`, errors));
+      return;
+    case 'string':
+      if (typeof value !== 'string' || value === '') {
+        fail(`must be a non-empty string, got ${describe(value)}`);
+      }
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        fail(`must be true or false, got ${describe(value)}`);
+      }
+      return;
+    case 'integer':
+      if (!Number.isInteger(value) || value < node.min || value > node.max) {
+        fail(`must be an integer ${node.max === Infinity ? `of at least ${node.min}` : `from ${node.min} to ${node.max}`}, got ${describe(value)}`);
+      }
+      return;
+    case 'numeric': {
+      const pattern = node.whole ? /^\d+$/ : /^\d+(\.\d+)?$/;
+      if (!['number', 'string'].includes(typeof value) || !pattern.test(String(value))) {
+        fail(`must be a ${node.whole ? 'whole number' : 'number'}, got ${describe(value)}`);
+      }
+      return;
+    }
+    case 'enum':
+      if (!node.values.includes(value)) {
+        fail(`must be one of ${node.values.join(', ')}, got ${describe(value)}`);
+      }
+      return;
+    case 'amount':
+      if (typeof value === 'number') {
+        fail(`must be a decimal string such as "${value}", got the number ${value} (quote amounts)`);
+      } else if (typeof value !== 'string' || !/^\d+(\.\d+)?$/.test(value)) {
+        fail(`must be a non-negative decimal string, got ${describe(value)}`);
+      }
+      return;
+    case 'address':
+      if (typeof value !== 'string' || !ethers.isAddress(value)) {
+        fail(`must be an address, got ${describe(value)}`);
+      }
+      return;
+    case 'duration':
+      if (time.parseDuration(value) === null) {
+        fail(`must be seconds or a duration like "90d", got ${describe(value)}`);
+      }
+      return;
+    case 'timestamp':
+      if (time.parseTimestamp(value) === null) {
+        fail(`must be unix seconds or an ISO date, got ${describe(value)}`);
+      }
+      return;
+  }
+}
+
+// Schema errors of the whole file as { path, message }, e.g. tokens[2].initialSupply
+function checkSchema(config) {
+  const errors = [];
+  checkValue(SCHEMA, config, '', errors);
+  return errors;
+}
+
+// Two tokens may share a symbol only if they never go to the same network
+function sharesNetwork(a, b) {
+  return !a.networks || !b.networks || a.networks.some(name => b.networks.includes(name));
+}
+
+// Checks across tokens and fields that the schema cannot express. Expects a config that passed
+// checkSchema; returns { errors, warnings }, each as { path, message }.
+function checkTokens(config) {
+  const errors = [];
+  const warnings = [];
+
+  config.tokens.forEach((token, i) => {
+    const where = `tokens[${i}]`;
+    const earlier = config.tokens.slice(0, i);
+
+    const duplicate = earlier.findIndex(other => other.symbol === token.symbol && sharesNetwork(other, token));
+    if (duplicate !== -1) {
+      errors.push({ path: `${where}.symbol`, message: `duplicate symbol ${token.symbol} (also tokens[${duplicate}])` });
+    } else {
+      const similar = earlier.findIndex(other => other.symbol.toLowerCase() === token.symbol.toLowerCase() && other.symbol !== token.symbol);
+      if (similar !== -1) {
+        warnings.push({ path: `${where}.symbol`, message: `${token.symbol} differs from tokens[${similar}].symbol ${config.tokens[similar].symbol} only in case` });
+      }
+    }
+    const sameName = earlier.findIndex(other => other.name === token.name);
+    if (sameName !== -1) {
+      warnings.push({ path: `${where}.name`, message: `same name as tokens[${sameName}]: ${token.name}` });
+    }
+
+    const template = templates.getTemplate(token.template || config.template);
+    const capabilities = template.capabilities(token);
+    let supply = null;
+    try {
+      supply = ethers.parseUnits(token.initialSupply, token.decimals);
+    } catch (error) {
+      errors.push({ path: `${where}.initialSupply`, message: `has more than ${token.decimals} decimal places` });
+    }
+    if (supply === 0n && !capabilities.mintable) {
+      warnings.push({ path: `${where}.initialSupply`, message: `is 0 and ${template.name === 'feature-flag' ? 'mintable is not set' : `template ${template.name} cannot mint`}, so the token will never have a supply` });
+    }
+
+    // Fields of other templates are silently ignored by this one
+    const argNames = template.args.map(arg => arg.name);
+    for (const field of ['cap', 'feeBps']) {
+      if (token[field] !== undefined && !argNames.includes(field)) {
+        warnings.push({ path: `${where}.${field}`, message: `is not used by template ${template.name}` });
+      }
+    }
+
+    const seen = new Map();
+    (token.initialHolders || []).forEach((holder, h) => {
+      const account = ethers.getAddress(holder.address);
+      if (seen.has(account)) {
+        warnings.push({ path: `${where}.initialHolders[${h}]`, message: `${account} is also initialHolders[${seen.get(account)}]; both transfers are sent` });
+      } else {
+        seen.set(account, h);
+      }
+    });
+
+    if (token.airdrop && time.parseTimestamp(token.airdrop.deadline) <= Math.floor(Date.now() / 1000)) {
+      warnings.push({ path: `${where}.airdrop.deadline`, message: `${token.airdrop.deadline} has already passed` });
+    }
+  });
+
+  return { errors, warnings };
+}
+
+// One line per problem, for error messages and the validate command
+function formatProblems(problems) {
+  return problems.map(problem => `${problem.path || '(top level)'}: ${problem.message}`).join('\n');
+}
+
+module.exports = {
+  SCHEMA,
+  defaultConfigPath,
+  interpolate,
+  loadConfigFile,
+  checkSchema,
+  checkTokens,
+  formatProblems
+};
@@ -0,0 +1,248 @@
+// confirmations.js - Waiting for sent transactions: confirmation depth, a timeout, and fee-bumped replacements
+const { ethers } = require('ethers');
+const readline = require('readline');
+const time = require('./time');
+
+const ON_TIMEOUT = ['bump', 'prompt', 'fail'];
+// Nodes only accept a replacement that raises both fees by at least 10%
+const MIN_BUMP_PERCENT = 10;
+const DEFAULTS = { confirmations: 1, timeout: null, onTimeout: 'prompt', bumpPercent: 20, maxBumps: 3 };
+const POLL_INTERVAL_MS = 2000;
+
+class TransactionTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransactionTimeoutError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function ask(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(question, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+const max = (a, b) => (a > b ? a : b);
+
+// Fee fields for a transaction replacing `tx`: its fees raised by `percent`, or the network's
+// current ones if those are higher still
+function bumpFees(tx, feeData, percent) {
+  const bump = value => value * BigInt(100 + percent) / 100n;
+  if (tx.type === 2) {
+    const maxPriorityFeePerGas = max(bump(tx.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas ?? 0n);
+    const maxFeePerGas = max(bump(tx.maxFeePerGas), feeData.maxFeePerGas ?? 0n);
+    return { type: 2, maxFeePerGas: max(maxFeePerGas, maxPriorityFeePerGas), maxPriorityFeePerGas };
+  }
+  return { type: 0, gasPrice: max(bump(tx.gasPrice), feeData.gasPrice ?? 0n) };
+}
+
+// Waits for transactions sent by `signer`. A transaction still unmined after `timeout` seconds
+// is resent with the same nonce and higher fees (onTimeout "bump"), after asking (onTimeout
+// "prompt", on a terminal; elsewhere it keeps waiting), or given up on (onTimeout "fail").
+// Whichever of the original and its replacements is mined counts.
+class TransactionWaiter {
+  constructor(provider, signer, options = {}, fees = null) {
+    this.provider = provider;
+    this.signer = signer;
+    this.fees = fees;
+    Object.assign(this, TransactionWaiter.parseOptions(options));
+    // Prompts from concurrent waits (pipelined runs) are asked one at a time
+    this.prompting = Promise.resolve();
+  }
+
+  // Settings as given in tokens.json or .env, checked and with defaults filled in
+  static parseOptions(options = {}) {
+    const given = value => value !== undefined && value !== null && value !== '';
+    const settings = {
+      confirmations: Number(options.confirmations ?? DEFAULTS.confirmations),
+      timeout: given(options.timeout)
+        ? time.parseDuration(/^\d+$/.test(options.timeout) ? Number(options.timeout) : options.timeout)
+        : DEFAULTS.timeout,
+      onTimeout: options.onTimeout || DEFAULTS.onTimeout,
+      bumpPercent: Number(options.bumpPercent ?? DEFAULTS.bumpPercent),
+      maxBumps: Number(options.maxBumps ?? DEFAULTS.maxBumps)
+    };
+
+    if (!Number.isInteger(settings.confirmations) || settings.confirmations < 1) {
+      throw new Error(`Invalid confirmations: ${options.confirmations}. Must be a positive integer`);
+    }
+    if (given(options.timeout) && !settings.timeout) {
+      throw new Error(`Invalid transaction timeout: ${options.timeout}. Use seconds or a duration like "5m"`);
+    }
+    if (!ON_TIMEOUT.includes(settings.onTimeout)) {
+      throw new Error(`Invalid onTimeout: ${settings.onTimeout}. Must be one of ${ON_TIMEOUT.join(', ')}`);
+    }
+    if (!Number.isInteger(settings.bumpPercent) || settings.bumpPercent < MIN_BUMP_PERCENT) {
+      throw new Error(`Invalid bumpPercent: ${options.bumpPercent}. Must be an integer of at least ${MIN_BUMP_PERCENT}`);
+    }
+    if (!Number.isInteger(settings.maxBumps) || settings.maxBumps < 0) {
+      throw new Error(`Invalid maxBumps: ${options.maxBumps}. Must be a non-negative integer`);
+    }
+    return settings;
+  }
+
+  // Environment variables take precedence over the "transactions" section of tokens.json
+  static resolveOptions(txConfig = {}) {
+    const env = process.env;
+    return {
+      confirmations: env.CONFIRMATIONS || txConfig.confirmations,
+      timeout: env.TX_TIMEOUT || txConfig.timeout,
+      onTimeout: env.ON_TX_TIMEOUT || txConfig.onTimeout,
+      bumpPercent: env.FEE_BUMP_PERCENT || txConfig.bumpPercent,
+      maxBumps: env.MAX_FEE_BUMPS || txConfig.maxBumps
+    };
+  }
+
+  describe() {
+    const parts = [`${this.confirmations} confirmation(s)`];
+    if (this.timeout === null) {
+      parts.push('no timeout');
+    } else {
+      parts.push(`timeout ${this.timeout}s`);
+      parts.push(this.onTimeout === 'fail' ? 'then fail' : `then ${this.onTimeout === 'bump' ? 'bump' : 'ask to bump'} fees by ${this.bumpPercent}% (up to ${this.maxBumps}x)`);
+    }
+    return parts.join(', ');
+  }
+
+  // Transactions signed elsewhere (broadcasts of offline-signed files, the CREATE2 factory's
+  // presigned deployment) cannot be resent from here
+  async canReplace(tx) {
+    if (this.signer === null || this.signer instanceof ethers.VoidSigner) {
+      return false;
+    }
+    return ethers.getAddress(tx.from) === ethers.getAddress(await this.signer.getAddress());
+  }
+
+  // Resolves with the receipt of `tx` or of a replacement, once it has the configured number of
+  // confirmations; a reverted transaction resolves too, with status 0. onReplaced(replaced,
+  // replacement) is called for every replacement sent. `replaced` lists transactions `tx` itself
+  // replaced, which count as well.
+  async wait(tx, { label = `Transaction ${tx.hash}`, onReplaced = null, replaced = [] } = {}) {
+    const sent = [...replaced, tx];
+    let deadline = this.deadline();
+
+    for (;;) {
+      const receipt = await this.findReceipt(sent);
+      if (receipt) {
+        return this.confirm(receipt);
+      }
+
+      // A receipt may arrive between the two lookups, so look once more before giving up
+      if ((await this.provider.getTransactionCount(tx.from, 'latest')) > tx.nonce) {
+        const late = await this.findReceipt(sent);
+        if (late) {
+          return this.confirm(late);
+        }
+        throw new Error(`${label}: nonce ${tx.nonce} was used by another transaction`);
+      }
+
+      if (deadline !== null && Date.now() >= deadline) {
+        const last = sent[sent.length - 1];
+        const replacement = await this.handleTimeout(last, label, sent.length - 1 - replaced.length);
+        if (replacement) {
+          sent.push(replacement);
+          if (onReplaced) {
+            onReplaced(last, replacement);
+          }
+        }
+        deadline = this.deadline();
+      }
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+
+  deadline() {
+    return this.timeout !== null ? Date.now() + this.timeout * 1000 : null;
+  }
+
+  async findReceipt(sent) {
+    for (const candidate of sent) {
+      const receipt = await this.provider.getTransactionReceipt(candidate.hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  async confirm(receipt) {
+    while ((await receipt.confirmations()) < this.confirmations) {
+      await sleep(POLL_INTERVAL_MS);
+    }
+    return receipt;
+  }
+
+  // Returns the replacement sent, or null to keep waiting
+  async handleTimeout(last, label, bumps) {
+    const pending = `${label} not mined after ${this.timeout}s (tx ${last.hash})`;
+    const hint = `Speed it up with: node interactWithTokens.js speed-up ${last.hash}`;
+
+    if (this.onTimeout === 'fail') {
+      throw new TransactionTimeoutError(`${pending}. ${hint}`);
+    }
+    if (bumps >= this.maxBumps) {
+      throw new TransactionTimeoutError(`${pending}, still pending after ${bumps} fee bump(s). ${hint}`);
+    }
+    if (!(await this.canReplace(last))) {
+      console.log(`    ${pending}; it was signed elsewhere, so still waiting`);
+      return null;
+    }
+    if (this.onTimeout === 'prompt') {
+      if (!process.stdin.isTTY) {
+        console.log(`    ${pending}; still waiting`);
+        return null;
+      }
+      const question = this.prompting.then(() => ask(`    ${pending}. Resend with ${this.bumpPercent}% higher fees? [y/N] `));
+      this.prompting = question.catch(() => {});
+      if (!(await question)) {
+        return null;
+      }
+    }
+
+    const replacement = await this.replace(last);
+    console.log(`    ${label}: replaced ${last.hash} with ${replacement.hash} (fees +${this.bumpPercent}%)`);
+    return replacement;
+  }
+
+  // Resends `tx` with the same nonce and higher fees. With cancel, the replacement is an empty
+  // transfer to the sender itself, so the original's call never happens.
+  async replace(tx, { cancel = false } = {}) {
+    if (!(await this.canReplace(tx))) {
+      throw new Error('Transactions signed elsewhere cannot be replaced from here');
+    }
+    const fees = bumpFees(tx, await this.provider.getFeeData(), this.bumpPercent);
+    const request = cancel
+      ? { to: tx.from, value: 0n, data: '0x', gasLimit: 21000n }
+      : { to: tx.to, value: tx.value, data: tx.data, gasLimit: tx.gasLimit };
+    if (this.fees) {
+      this.fees.checkReplacement(request.gasLimit, fees);
+    }
+    return this.signer.sendTransaction({ ...request, nonce: tx.nonce, ...fees });
+  }
+
+  // Cancels whatever the signer has pending at `nonce`. Without the pending transaction at hand
+  // its fees are unknown, so the cancellation outbids the network's current fees.
+  async cancel(nonce, pending = null) {
+    if (pending) {
+      return this.replace(pending, { cancel: true });
+    }
+    const from = await this.signer.getAddress();
+    const feeData = await this.provider.getFeeData();
+    const current = feeData.maxFeePerGas !== null
+      ? { type: 2, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+      : { type: 0, gasPrice: feeData.gasPrice };
+    return this.replace({ from, nonce, ...current }, { cancel: true });
+  }
+}
+
+module.exports = TransactionWaiter;
+module.exports.TransactionTimeoutError = TransactionTimeoutError;
+module.exports.bumpFees = bumpFees;
@@ -0,0 +1,190 @@
+// deploymentState.js - Persistent per-chain deployment state for resumable runs
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const STATE_DIR = path.join(__dirname, '..', 'deployments', 'state');
+
+// Settings that decide where a token goes rather than what gets deployed
+const NON_DEPLOYMENT_KEYS = ['networks', 'batchSize'];
+
+// Deterministic JSON so that key order in tokens.json does not change the hash
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class DeploymentState {
+  constructor(chainId, stateDir = STATE_DIR) {
+    this.chainId = chainId.toString();
+    this.statePath = path.join(stateDir, `${this.chainId}.json`);
+    this.tokens = {};
+  }
+
+  static hashTokenConfig(token) {
+    const deploymentConfig = { ...token };
+    NON_DEPLOYMENT_KEYS.forEach(key => delete deploymentConfig[key]);
+    return ethers.keccak256(ethers.toUtf8Bytes(canonicalize(deploymentConfig)));
+  }
+
+  load() {
+    if (fs.existsSync(this.statePath)) {
+      const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      this.tokens = state.tokens || {};
+    }
+    return this;
+  }
+
+  save() {
+    const dir = path.dirname(this.statePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const state = {
+      chainId: this.chainId,
+      updatedAt: new Date().toISOString(),
+      tokens: this.tokens
+    };
+
+    // Write to a temp file first so a crash mid-write cannot corrupt the state
+    const tmpPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, this.statePath);
+  }
+
+  get(symbol) {
+    return this.tokens[symbol];
+  }
+
+  // address is only known up front for CREATE2 deployments
+  markPending(symbol, configHash, txHash, address = null) {
+    this.tokens[symbol] = {
+      configHash,
+      status: 'pending',
+      txHash,
+      address,
+      transfers: {}
+    };
+    this.save();
+  }
+
+  markDeployed(symbol, { address, blockNumber, gasUsed }) {
+    Object.assign(this.tokens[symbol], {
+      status: 'deployed',
+      address,
+      blockNumber,
+      gasUsed: gasUsed !== null ? gasUsed.toString() : null
+    });
+    this.save();
+  }
+
+  markTransfer(symbol, index, txHash, confirmed) {
+    this.tokens[symbol].transfers[index] = { txHash, confirmed };
+    this.save();
+  }
+
+  // A batched distribution sends many holders' transfers in one transaction
+  markTransfers(symbol, indices, txHash, confirmed) {
+    for (const index of indices) {
+      this.tokens[symbol].transfers[index] = { txHash, confirmed };
+    }
+    this.save();
+  }
+
+  // A vesting wallet, airdrop distributor or faucet deployment that was sent but is not yet
+  // mined, by key (vestingWallet:{index}, airdrop or faucet). Recording the contract's address
+  // clears it.
+  markContractPending(symbol, key, txHash) {
+    const pending = this.tokens[symbol].pendingContracts || (this.tokens[symbol].pendingContracts = {});
+    pending[key] = txHash;
+    this.save();
+  }
+
+  pendingContract(symbol, key) {
+    return (this.tokens[symbol].pendingContracts || {})[key] || null;
+  }
+
+  clearPendingContract(symbol, key) {
+    const pending = this.tokens[symbol].pendingContracts;
+    if (pending) {
+      delete pending[key];
+    }
+  }
+
+  markVestingWallet(symbol, index, wallet) {
+    const wallets = this.tokens[symbol].vestingWallets || (this.tokens[symbol].vestingWallets = {});
+    wallets[index] = wallet;
+    this.clearPendingContract(symbol, `vestingWallet:${index}`);
+    this.save();
+  }
+
+  markAirdrop(symbol, airdrop) {
+    this.tokens[symbol].airdrop = airdrop;
+    this.clearPendingContract(symbol, 'airdrop');
+    this.save();
+  }
+
+  markFaucet(symbol, faucet) {
+    this.tokens[symbol].faucet = faucet;
+    this.clearPendingContract(symbol, 'faucet');
+    this.save();
+  }
+
+  // The token whose deployment, initial transfers or own contracts sent `txHash`, if any
+  findTransaction(txHash) {
+    return Object.keys(this.tokens).find(symbol => {
+      const token = this.tokens[symbol];
+      return token.txHash === txHash ||
+        Object.values(token.transfers || {}).some(transfer => transfer.txHash === txHash) ||
+        Object.values(token.pendingContracts || {}).includes(txHash);
+    }) || null;
+  }
+
+  // A transaction of the token was resent with the same nonce (a fee bump or a cancellation).
+  // A fee bump's hash is swapped wherever the original was recorded, so a resumed run waits for
+  // the replacement. A cancellation does none of the original's work, so the original's hash
+  // stays: a resumed run finds it was never mined and sends the transfer or deployment again,
+  // unless the original won the race after all.
+  recordReplacement(symbol, { label, nonce, original, replacement, reason }) {
+    const token = this.tokens[symbol];
+    if (reason !== 'cancel') {
+      this.swapTransaction(token, original, replacement);
+    }
+    const replacements = token.replacements || (token.replacements = []);
+    replacements.push({ label, nonce, original, replacement, reason, replacedAt: new Date().toISOString() });
+    this.save();
+  }
+
+  swapTransaction(token, original, replacement) {
+    if (token.txHash === original) {
+      token.txHash = replacement;
+    }
+    for (const transfer of Object.values(token.transfers || {})) {
+      if (transfer.txHash === original) {
+        transfer.txHash = replacement;
+      }
+    }
+    for (const [key, txHash] of Object.entries(token.pendingContracts || {})) {
+      if (txHash === original) {
+        token.pendingContracts[key] = replacement;
+      }
+    }
+  }
+
+  markComplete(symbol, deployment) {
+    Object.assign(this.tokens[symbol], {
+      status: 'complete',
+      deployment
+    });
+    this.save();
+  }
+}
+
+module.exports = DeploymentState;
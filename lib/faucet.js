@@ -0,0 +1,67 @@
+// faucet.js - Per-token testnet faucet: drip amount, cooldown and how the faucet is supplied
+const { ethers } = require('ethers');
+const roles = require('./roles');
+const time = require('./time');
+
+// A faucet with `fund` pays out of a balance transferred at deployment; without one it mints,
+// which needs a token whose template grants MINTER_ROLE
+function parseFaucet(token) {
+  const faucet = token.faucet;
+  return {
+    drip: ethers.parseUnits(faucet.drip, token.decimals),
+    cooldown: time.parseDuration(faucet.cooldown),
+    fund: faucet.fund !== undefined ? ethers.parseUnits(faucet.fund, token.decimals) : null,
+    minting: faucet.fund === undefined
+  };
+}
+
+function parseAmount(token, field, value) {
+  let amount;
+  try {
+    amount = ethers.parseUnits(value, token.decimals);
+  } catch (error) {
+    amount = 0n;
+  }
+  if (amount <= 0n) {
+    throw new Error(`Token ${token.name} faucet has invalid ${field}: ${value}`);
+  }
+  return amount;
+}
+
+function validateFaucet(token) {
+  const faucet = token.faucet;
+  if (typeof faucet !== 'object' || Array.isArray(faucet)) {
+    throw new Error(`Token ${token.name} field faucet must be an object with drip and cooldown`);
+  }
+
+  const drip = parseAmount(token, 'drip', faucet.drip);
+  if (time.parseDuration(faucet.cooldown) === null) {
+    throw new Error(`Token ${token.name} faucet has invalid cooldown: ${faucet.cooldown}. Use seconds or e.g. "1d"`);
+  }
+
+  if (faucet.fund !== undefined) {
+    if (parseAmount(token, 'fund', faucet.fund) < drip) {
+      throw new Error(`Token ${token.name} faucet is funded with less than one drip`);
+    }
+  } else if (!roles.constructorRoles(token).includes('MINTER_ROLE')) {
+    throw new Error(`Token ${token.name} faucet needs a fund amount, since the token is not mintable`);
+  }
+}
+
+// Supply the faucet takes out of the deployer's balance
+function reservedAmount(token) {
+  return token.faucet && token.faucet.fund !== undefined ? ethers.parseUnits(token.faucet.fund, token.decimals) : 0n;
+}
+
+// Arguments of the TokenFaucet constructor
+function constructorArgs(token, tokenAddress, owner) {
+  const { drip, cooldown, minting } = parseFaucet(token);
+  return [tokenAddress, drip, cooldown, minting, owner];
+}
+
+module.exports = {
+  parseFaucet,
+  validateFaucet,
+  reservedAmount,
+  constructorArgs
+};
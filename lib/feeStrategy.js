@@ -0,0 +1,174 @@
+// feeStrategy.js - Gas limit and fee selection with an optional per-run spend cap
+const { ethers } = require('ethers');
+
+const DEFAULT_BUFFER_PERCENT = 20;
+
+class SpendLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpendLimitError';
+  }
+}
+
+class FeeStrategy {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.type = options.type || 'auto';
+    this.gasPrice = FeeStrategy.parseGwei(options.gasPriceGwei);
+    this.maxFeePerGas = FeeStrategy.parseGwei(options.maxFeeGwei);
+    this.maxPriorityFeePerGas = FeeStrategy.parseGwei(options.priorityFeeGwei);
+    this.gasLimit = options.gasLimit ? FeeStrategy.parseInteger('gasLimit', 'GAS_LIMIT', options.gasLimit) : null;
+    this.bufferPercent = FeeStrategy.parseInteger('bufferPercent', 'GAS_BUFFER_PERCENT', options.bufferPercent ?? DEFAULT_BUFFER_PERCENT);
+    this.maxTotalSpend = options.maxTotalSpend ? ethers.parseEther(options.maxTotalSpend.toString()) : null;
+    this.spent = 0n;
+    // Worst-case cost of sent transactions still waiting for a receipt (pipelined runs)
+    this.reserved = 0n;
+
+    if (!['auto', 'legacy', 'eip1559'].includes(this.type)) {
+      throw new Error(`Invalid gas type: ${this.type}. Must be auto, legacy or eip1559`);
+    }
+  }
+
+  // Environment variables take precedence over the "gas" section of tokens.json
+  static resolveOptions(gasConfig = {}) {
+    const env = process.env;
+    return {
+      type: env.GAS_TYPE || gasConfig.type,
+      gasPriceGwei: env.GAS_PRICE_GWEI || gasConfig.gasPriceGwei,
+      maxFeeGwei: env.MAX_FEE_GWEI || gasConfig.maxFeeGwei,
+      priorityFeeGwei: env.PRIORITY_FEE_GWEI || gasConfig.priorityFeeGwei,
+      gasLimit: env.GAS_LIMIT || gasConfig.gasLimit,
+      bufferPercent: env.GAS_BUFFER_PERCENT || gasConfig.bufferPercent,
+      maxTotalSpend: env.MAX_TOTAL_SPEND || gasConfig.maxTotalSpend
+    };
+  }
+
+  static parseInteger(name, variable, value) {
+    if (!/^\d+$/.test(value.toString())) {
+      throw new Error(`Invalid gas ${name} (${variable}): ${value}. Must be a whole number`);
+    }
+    return BigInt(value);
+  }
+
+  static parseGwei(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    return ethers.parseUnits(value.toString(), 'gwei');
+  }
+
+  async init() {
+    const block = await this.provider.getBlock('latest');
+    if (this.type === 'auto') {
+      this.type = block.baseFeePerGas !== null ? 'eip1559' : 'legacy';
+    } else if (this.type === 'eip1559' && block.baseFeePerGas === null) {
+      throw new Error('Gas type eip1559 needs a network with a base fee, and this one has none. Use legacy or auto');
+    }
+    return this;
+  }
+
+  describe() {
+    const parts = [this.type === 'eip1559' ? 'EIP-1559' : 'legacy'];
+    if (this.gasPrice !== null) parts.push(`gas price ${ethers.formatUnits(this.gasPrice, 'gwei')} gwei`);
+    if (this.maxFeePerGas !== null) parts.push(`max fee ${ethers.formatUnits(this.maxFeePerGas, 'gwei')} gwei`);
+    if (this.maxPriorityFeePerGas !== null) parts.push(`priority fee ${ethers.formatUnits(this.maxPriorityFeePerGas, 'gwei')} gwei`);
+    parts.push(`buffer ${this.bufferPercent}%`);
+    if (this.maxTotalSpend !== null) parts.push(`spend cap ${ethers.formatEther(this.maxTotalSpend)} ETH`);
+    return parts.join(', ');
+  }
+
+  applyBuffer(gas) {
+    return gas * (100n + this.bufferPercent) / 100n;
+  }
+
+  // Fixed deployment gas limit (GAS_LIMIT) when configured, otherwise the buffered estimate
+  async deploymentGasLimit(estimate) {
+    if (this.gasLimit !== null) {
+      return this.gasLimit;
+    }
+    return this.applyBuffer(await estimate());
+  }
+
+  async transactionGasLimit(estimate) {
+    return this.applyBuffer(await estimate());
+  }
+
+  async getFeeFields() {
+    const feeData = await this.provider.getFeeData();
+
+    if (this.type === 'legacy') {
+      return { type: 0, gasPrice: this.gasPrice ?? feeData.gasPrice };
+    }
+
+    // GAS_PRICE_GWEI on an EIP-1559 chain caps the max fee
+    const maxPriorityFeePerGas = this.maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas;
+    let maxFeePerGas = this.maxFeePerGas ?? this.gasPrice;
+    if (maxFeePerGas === null) {
+      const block = await this.provider.getBlock('latest');
+      maxFeePerGas = block.baseFeePerGas * 2n + maxPriorityFeePerGas;
+    }
+
+    return {
+      type: 2,
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    };
+  }
+
+  // Highest price per gas a transaction with these fee fields can pay
+  static maxPricePerGas(feeFields) {
+    return feeFields.type === 0 ? feeFields.gasPrice : feeFields.maxFeePerGas;
+  }
+
+  // Transaction overrides for the given gas limit; throws once the worst-case cost would break the cap
+  async getOverrides(gasLimit) {
+    const feeFields = await this.getFeeFields();
+    const maxCost = gasLimit * FeeStrategy.maxPricePerGas(feeFields);
+
+    if (this.maxTotalSpend !== null && this.spent + maxCost > this.maxTotalSpend) {
+      throw new SpendLimitError(
+        `Spend cap reached: ${ethers.formatEther(this.spent)} ETH spent, next transaction may cost up to ` +
+        `${ethers.formatEther(maxCost)} ETH (cap ${ethers.formatEther(this.maxTotalSpend)} ETH)`
+      );
+    }
+
+    return { gasLimit, ...feeFields };
+  }
+
+  // Counts a transaction about to be sent against the cap until its receipt arrives, and returns
+  // the amount to release then. Checking and reserving in one step keeps concurrent senders
+  // (pipelined runs) from overrunning the cap together.
+  reserve(overrides) {
+    const cost = overrides.gasLimit * FeeStrategy.maxPricePerGas(overrides);
+    if (this.maxTotalSpend !== null && this.spent + this.reserved + cost > this.maxTotalSpend) {
+      throw new SpendLimitError(
+        `Spend cap reached: ${ethers.formatEther(this.spent)} ETH spent (plus up to ${ethers.formatEther(this.reserved)} ETH pending), ` +
+        `next transaction may cost up to ${ethers.formatEther(cost)} ETH (cap ${ethers.formatEther(this.maxTotalSpend)} ETH)`
+      );
+    }
+    this.reserved += cost;
+    return cost;
+  }
+
+  // A fee-bumped replacement (lib/confirmations.js) may cost more than the transaction it replaces
+  checkReplacement(gasLimit, feeFields) {
+    const cost = gasLimit * FeeStrategy.maxPricePerGas(feeFields);
+    if (this.maxTotalSpend !== null && this.spent + this.reserved + cost > this.maxTotalSpend) {
+      throw new SpendLimitError(
+        `Spend cap reached: ${ethers.formatEther(this.spent)} ETH spent, a replacement with higher fees may cost up to ` +
+        `${ethers.formatEther(cost)} ETH (cap ${ethers.formatEther(this.maxTotalSpend)} ETH)`
+      );
+    }
+  }
+
+  release(cost) {
+    this.reserved -= cost;
+  }
+
+  recordReceipt(receipt) {
+    this.spent += receipt.fee;
+  }
+}
+
+module.exports = FeeStrategy;
+module.exports.SpendLimitError = SpendLimitError;
@@ -0,0 +1,88 @@
+// holders.js - Initial holder lists, inline in tokens.json or loaded from a CSV file
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+// One "address,amount" row per line; blank lines, # comments and a header row (a first row
+// that does not start with an address) are skipped
+function parseHoldersCsv(content, file) {
+  const holders = [];
+  let firstRow = true;
+  content.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const [address, amount, ...rest] = trimmed.split(',').map(field => field.trim());
+    const isHeader = firstRow && !ethers.isAddress(address);
+    firstRow = false;
+    if (isHeader) {
+      return;
+    }
+    if (amount === undefined || rest.length > 0) {
+      throw new Error(`${file}:${i + 1}: expected "address,amount", got "${trimmed}"`);
+    }
+    holders.push({ address, amount });
+  });
+  return holders;
+}
+
+// Inline initialHolders followed by the rows of holdersFile (relative to the config file)
+function resolveHolders(token, baseDir) {
+  const inline = token.initialHolders || [];
+  if (!token.holdersFile) {
+    return inline;
+  }
+
+  const file = path.resolve(baseDir, token.holdersFile);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Holders file for ${token.name} not found: ${file}`);
+  }
+  return [...inline, ...parseHoldersCsv(fs.readFileSync(file, 'utf8'), token.holdersFile)];
+}
+
+// `reserved` is supply set aside for other uses, such as an airdrop or faucet
+function validateHolders(token, reserved = 0n) {
+  let total = 0n;
+  for (const holder of token.initialHolders || []) {
+    if (!ethers.isAddress(holder.address)) {
+      throw new Error(`Invalid holder address for ${token.name}: ${holder.address}`);
+    }
+    let amount;
+    try {
+      amount = ethers.parseUnits(holder.amount, token.decimals);
+    } catch (error) {
+      throw new Error(`Invalid holder amount for ${token.name}: ${holder.amount} (${holder.address})`);
+    }
+    if (amount < 0n) {
+      throw new Error(`Invalid holder amount for ${token.name}: ${holder.amount} (${holder.address})`);
+    }
+    total += amount;
+  }
+
+  const supply = ethers.parseUnits(token.initialSupply, token.decimals);
+  if (total + reserved > supply) {
+    const others = reserved > 0n ? ` plus ${ethers.formatUnits(reserved, token.decimals)} for its airdrop and faucet` : '';
+    throw new Error(
+      `Token ${token.name} distributes ${ethers.formatUnits(total, token.decimals)} to initial holders${others}, ` +
+      `more than its initialSupply of ${token.initialSupply}`
+    );
+  }
+}
+
+// Splits a list into consecutive chunks of at most `size` items
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  parseHoldersCsv,
+  resolveHolders,
+  validateHolders,
+  chunk
+};
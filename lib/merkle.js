@@ -0,0 +1,56 @@
+// merkle.js - Merkle trees with sorted-pair hashing, as verified by OpenZeppelin's MerkleProof
+const { ethers } = require('ethers');
+
+// Leaf of an (account, amount) claim; hashed twice like OpenZeppelin's StandardMerkleTree,
+// so a leaf can never be mistaken for an inner node
+function claimLeaf(account, amount) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [account, amount]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+// Returns the root and the proof of every leaf, in the order the leaves were given. A node
+// without a sibling moves up a level unchanged and adds nothing to the proof.
+function buildTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const proofs = leaves.map(() => []);
+  // Position of each leaf's ancestor in the current layer
+  let positions = leaves.map((_, i) => i);
+  let layer = [...leaves];
+
+  while (layer.length > 1) {
+    positions.forEach((position, leafIndex) => {
+      const sibling = position ^ 1;
+      if (sibling < layer.length) {
+        proofs[leafIndex].push(layer[sibling]);
+      }
+    });
+
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layer = next;
+    positions = positions.map(position => position >> 1);
+  }
+
+  return { root: layer[0], proofs };
+}
+
+function verifyProof(proof, root, leaf) {
+  return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf) === root;
+}
+
+module.exports = {
+  claimLeaf,
+  buildTree,
+  verifyProof
+};
@@ -0,0 +1,79 @@
+// networks.js - Named deployment targets from the "networks" section of tokens.json
+const { ethers } = require('ethers');
+const verifiers = require('./verifiers');
+
+function validateNetworks(config) {
+  const networks = config.networks || {};
+
+  for (const [name, network] of Object.entries(networks)) {
+    if (typeof network.rpcUrl !== 'string' || network.rpcUrl === '') {
+      throw new Error(`Network ${name} is missing rpcUrl`);
+    }
+    if (!Number.isInteger(network.chainId) || network.chainId <= 0) {
+      throw new Error(`Network ${name} has invalid chainId: ${network.chainId}. Must be a positive integer`);
+    }
+    verifiers.validateVerifyConfig(network.verify, `Network ${name}`);
+  }
+  verifiers.validateVerifyConfig(config.verify, 'tokens.json');
+
+  for (const token of config.tokens) {
+    for (const name of token.networks || []) {
+      if (!networks[name]) {
+        throw new Error(`Token ${token.name} lists unknown network: ${name}`);
+      }
+    }
+  }
+}
+
+// Without a "networks" section the single RPC_URL from .env is the only target, as before
+function resolveTargets(config, selected = []) {
+  if (!config.networks || Object.keys(config.networks).length === 0) {
+    if (selected.length > 0) {
+      throw new Error('--network given but tokens.json has no "networks" section');
+    }
+    if (!process.env.RPC_URL) {
+      throw new Error('RPC_URL is not set and tokens.json has no "networks" section');
+    }
+    return [{ name: config.network || null, rpcUrl: process.env.RPC_URL, chainId: null, gas: undefined, transactions: undefined }];
+  }
+
+  const names = selected.length > 0 ? selected : Object.keys(config.networks);
+  return names.map(name => {
+    const network = config.networks[name];
+    if (!network) {
+      throw new Error(`Unknown network: ${name}. Configured: ${Object.keys(config.networks).join(', ')}`);
+    }
+    return { name, rpcUrl: network.rpcUrl, chainId: network.chainId, gas: network.gas, transactions: network.transactions };
+  });
+}
+
+function tokensForNetwork(tokens, networkName) {
+  return tokens.filter(token => !token.networks || token.networks.includes(networkName));
+}
+
+// Caching would return stale code and nonces between back-to-back transactions. A static
+// network skips ethers' own detection, which retries forever on a bad URL.
+function connect(rpcUrl, chainId = null) {
+  const options = { cacheTimeout: -1 };
+  if (chainId !== null) {
+    options.staticNetwork = ethers.Network.from(chainId);
+  }
+  return new ethers.JsonRpcProvider(rpcUrl, undefined, options);
+}
+
+async function checkChainId(provider, target) {
+  const actual = Number(await provider.send('eth_chainId', []));
+  if (actual !== target.chainId) {
+    throw new Error(
+      `Network ${target.name}: RPC reports chain ID ${actual} but tokens.json expects ${target.chainId}`
+    );
+  }
+}
+
+module.exports = {
+  validateNetworks,
+  resolveTargets,
+  tokensForNetwork,
+  connect,
+  checkChainId
+};
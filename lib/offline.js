@@ -0,0 +1,120 @@
+// offline.js - Files of unsigned transactions for signing on another machine, and their signed counterparts
+const { ethers } = require('ethers');
+const fs = require('fs');
+
+const FILE_VERSION = 1;
+
+// Transaction fields as they are written to the file; quantities become decimal strings
+const TX_FIELDS = ['type', 'chainId', 'nonce', 'to', 'data', 'value', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+function serializeTx(tx) {
+  const out = {};
+  for (const field of TX_FIELDS) {
+    if (tx[field] === undefined || tx[field] === null) {
+      continue;
+    }
+    out[field] = typeof tx[field] === 'bigint' ? tx[field].toString() : tx[field];
+  }
+  return out;
+}
+
+function parseTx(tx) {
+  const out = { ...tx };
+  for (const field of ['chainId', 'value', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+    if (out[field] !== undefined) {
+      out[field] = BigInt(out[field]);
+    }
+  }
+  return out;
+}
+
+// Highest fee a transaction can pay
+function maxCost(tx) {
+  return BigInt(tx.gasLimit) * BigInt(tx.type === 0 ? tx.gasPrice : tx.maxFeePerGas);
+}
+
+// { version, network, chainId, from, createdAt, transactions: [{ description, step, symbol, ..., tx }] }
+function saveFile(filePath, file) {
+  fs.writeFileSync(filePath, JSON.stringify({ version: FILE_VERSION, ...file }, null, 2));
+}
+
+function loadFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Transaction file not found: ${filePath}`);
+  }
+  const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (file.version !== FILE_VERSION) {
+    throw new Error(`${filePath} has unsupported version ${file.version}`);
+  }
+
+  // Nonces must follow each other, or the later transactions could never be mined
+  file.transactions.forEach((entry, i) => {
+    if (Number(entry.tx.chainId) !== Number(file.chainId)) {
+      throw new Error(`Transaction ${i + 1} in ${filePath} is for chain ${entry.tx.chainId}, not ${file.chainId}`);
+    }
+    if (i > 0 && entry.tx.nonce !== file.transactions[i - 1].tx.nonce + 1) {
+      throw new Error(`Transaction ${i + 1} in ${filePath} has nonce ${entry.tx.nonce}, expected ${file.transactions[i - 1].tx.nonce + 1}`);
+    }
+  });
+  return file;
+}
+
+// Signs every transaction; the signer must be the account the file was exported for
+async function signFile(file, signer) {
+  const address = await signer.getAddress();
+  if (ethers.getAddress(address) !== ethers.getAddress(file.from)) {
+    throw new Error(`Transactions were exported for ${file.from}, but the signer is ${address}`);
+  }
+
+  const transactions = [];
+  for (const entry of file.transactions) {
+    const signed = await signer.signTransaction({ ...parseTx(entry.tx), from: file.from });
+    transactions.push({ ...entry, signed, hash: ethers.keccak256(signed) });
+  }
+  return { ...file, signedAt: new Date().toISOString(), transactions };
+}
+
+// Checks that every signed transaction is its entry's transaction, signed by the file's account,
+// so an edited or mixed-up file is caught before anything is sent
+function verifySignedFile(file) {
+  const comparable = value => (value === undefined || value === null ? null : value.toString().toLowerCase());
+
+  file.transactions.forEach((entry, i) => {
+    const label = `Transaction ${i + 1} (${entry.description})`;
+    let signed;
+    try {
+      signed = ethers.Transaction.from(entry.signed);
+    } catch (error) {
+      throw new Error(`${label} is not a valid signed transaction: ${error.shortMessage || error.message}`);
+    }
+    if (!signed.from || ethers.getAddress(signed.from) !== ethers.getAddress(file.from)) {
+      throw new Error(`${label} is signed by ${signed.from}, not ${file.from}`);
+    }
+    if (signed.hash !== entry.hash) {
+      throw new Error(`${label} has hash ${signed.hash}, but the file lists ${entry.hash}`);
+    }
+
+    const exported = { data: '0x', value: '0', ...entry.tx };
+    for (const field of TX_FIELDS) {
+      if (comparable(signed[field]) !== comparable(exported[field])) {
+        throw new Error(`${label} was signed with ${field} ${signed[field]}, but exported with ${exported[field]}`);
+      }
+    }
+  });
+}
+
+// The signed file next to an unsigned one: deploy.json -> deploy.signed.json
+function signedPath(filePath) {
+  return filePath.replace(/(\.json)?$/, '.signed.json');
+}
+
+module.exports = {
+  serializeTx,
+  parseTx,
+  maxCost,
+  saveFile,
+  loadFile,
+  signFile,
+  verifySignedFile,
+  signedPath
+};
@@ -0,0 +1,165 @@
+// pipeline.js - Independent transactions from one account, sent concurrently with locally assigned nonces
+const { SpendLimitError } = require('./feeStrategy');
+
+// Hands out nonces in order. A nonce whose transaction never reached the node is handed out again
+// before any new one, so that the account's nonces stay contiguous.
+class NonceAllocator {
+  constructor(next) {
+    this.next = next;
+    this.released = [];
+  }
+
+  take() {
+    if (this.released.length > 0) {
+      this.released.sort((a, b) => a - b);
+      return this.released.shift();
+    }
+    return this.next++;
+  }
+
+  release(nonce) {
+    this.released.push(nonce);
+    // Released nonces at the top are no gap: nothing after them was sent
+    while (this.released.includes(this.next - 1)) {
+      this.next--;
+      this.released.splice(this.released.indexOf(this.next), 1);
+    }
+  }
+
+  hasGap() {
+    return this.released.length > 0;
+  }
+}
+
+// Runs jobs with at most `concurrency` transactions unconfirmed at a time. A job is
+//   { symbol, label, build, onSent, onMined, onReplaced }
+// where build() returns the transaction request with its gasLimit, and the optional onSent(tx),
+// onMined(receipt) and onReplaced(replaced, replacement) record progress. `waiter` (see
+// lib/confirmations.js) waits for each transaction and replaces stuck ones. run() resolves once
+// every job has settled, with one { job, status, receipt, error } per job; status is confirmed,
+// reverted or failed (not sent).
+class TransactionPipeline {
+  constructor(signer, fees, concurrency, waiter) {
+    this.signer = signer;
+    this.fees = fees;
+    this.concurrency = concurrency;
+    this.waiter = waiter;
+    this.queue = [];
+    this.results = [];
+    this.nonces = null;
+    this.address = null;
+    // Set when the spend cap stopped the pipeline; the jobs not yet started are dropped
+    this.stoppedBy = null;
+  }
+
+  add(job) {
+    this.queue.push(job);
+  }
+
+  async run() {
+    this.address = await this.signer.getAddress();
+    this.nonces = new NonceAllocator(await this.signer.provider.getTransactionCount(this.address, 'pending'));
+
+    const workers = Array.from({ length: Math.min(this.concurrency, this.queue.length) }, () => this.work());
+    await Promise.all(workers);
+    return this.results;
+  }
+
+  async work() {
+    while (this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.results.push(await this.execute(job));
+    }
+  }
+
+  async execute(job) {
+    let request;
+    let overrides;
+    let reserved;
+    try {
+      request = await job.build();
+      overrides = await this.fees.getOverrides(request.gasLimit);
+      reserved = this.fees.reserve(overrides);
+    } catch (error) {
+      if (error instanceof SpendLimitError) {
+        this.stoppedBy = error;
+        this.queue.length = 0;
+      }
+      return this.fail(job, error);
+    }
+
+    // The nonce is taken only now, so a job that fails to build never leaves a gap
+    const nonce = this.nonces.take();
+    let tx;
+    try {
+      tx = await this.signer.sendTransaction({ ...request, ...overrides, nonce });
+    } catch (error) {
+      this.fees.release(reserved);
+      this.nonces.release(nonce);
+      return this.fail(job, error);
+    }
+    if (job.onSent) {
+      job.onSent(tx);
+    }
+
+    let receipt;
+    try {
+      receipt = await this.waiter.wait(tx, { label: job.label, onReplaced: job.onReplaced });
+    } catch (error) {
+      this.fees.release(reserved);
+      return this.fail(job, error);
+    }
+    this.fees.release(reserved);
+    this.fees.recordReceipt(receipt);
+
+    if (receipt.status !== 1) {
+      return { job, status: 'reverted', receipt, error: new Error(`reverted in tx ${receipt.hash}`) };
+    }
+    if (job.onMined) {
+      job.onMined(receipt);
+    }
+    return { job, status: 'confirmed', receipt };
+  }
+
+  // Result of a job that failed. With the queue empty no later job takes a released nonce, so
+  // the gaps are closed here; if that fails too, the job's result says so rather than run()
+  // rejecting while other workers are still sending.
+  async fail(job, error) {
+    try {
+      await this.closeGaps();
+    } catch (gapError) {
+      return { job, status: 'failed', error: new Error(`${error.shortMessage || error.message}. ${gapError.message}`) };
+    }
+    return { job, status: 'failed', error };
+  }
+
+  // A released nonce below ones already sent holds every later transaction back. The next job
+  // takes it; when none is left, a zero-value transaction to the account itself fills it.
+  async closeGaps() {
+    while (this.queue.length === 0 && this.nonces.hasGap()) {
+      const nonce = this.nonces.take();
+      try {
+        const tx = await this.signer.sendTransaction({
+          to: this.address,
+          value: 0n,
+          nonce,
+          gasLimit: 21000n,
+          ...(await this.fees.getFeeFields())
+        });
+        console.log(`    Filling nonce gap ${nonce}: ${tx.hash}`);
+        this.fees.recordReceipt(await this.waiter.wait(tx, { label: `Nonce gap ${nonce}` }));
+      } catch (error) {
+        // Used in the meantime, e.g. by the transaction that seemed to fail
+        if (error.code === 'NONCE_EXPIRED') {
+          continue;
+        }
+        throw new Error(`Could not fill nonce gap ${nonce}; later transactions stay pending until it is used: ${error.shortMessage || error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  NonceAllocator,
+  TransactionPipeline
+};
@@ -0,0 +1,124 @@
+// roles.js - Hand-over of AccessControl roles from the deployer to the accounts in tokens.json
+const { ethers } = require('ethers');
+const templates = require('./templates');
+
+// tokens.json field that lists the accounts for each role
+const ROLE_FIELDS = {
+  admin: 'DEFAULT_ADMIN_ROLE',
+  minters: 'MINTER_ROLE',
+  pausers: 'PAUSER_ROLE'
+};
+
+function roleHash(role) {
+  return role === 'DEFAULT_ADMIN_ROLE' ? ethers.ZeroHash : ethers.id(role);
+}
+
+// `admin` is a single address, the others are lists
+function configuredAccounts(token, field) {
+  if (token[field] === undefined) {
+    return [];
+  }
+  return field === 'admin' ? [token.admin] : token[field];
+}
+
+// Roles the template grants the deployer at construction for this token
+function constructorRoles(token) {
+  const template = templates.getTemplate(token.template);
+  if (!template.roles) {
+    return [];
+  }
+  return Object.entries(template.roles(token)).filter(([, granted]) => granted).map(([role]) => role);
+}
+
+function validateRoleConfig(token, deployer) {
+  const template = templates.getTemplate(token.template);
+  const enabled = constructorRoles(token);
+
+  for (const [field, role] of Object.entries(ROLE_FIELDS)) {
+    if (token[field] === undefined) {
+      continue;
+    }
+    if (field === 'admin' ? typeof token.admin !== 'string' : !Array.isArray(token[field])) {
+      throw new Error(`Token ${token.name} field ${field} must be ${field === 'admin' ? 'an address' : 'a list of addresses'}`);
+    }
+    for (const account of configuredAccounts(token, field)) {
+      if (!ethers.isAddress(account)) {
+        throw new Error(`Invalid ${field} address for ${token.name}: ${account}`);
+      }
+    }
+    if (!enabled.includes(role)) {
+      throw new Error(`Token ${token.name} sets ${field}, but template ${template.name} does not use ${role} for it`);
+    }
+  }
+
+  if (token.renounceDeployerRoles !== undefined && typeof token.renounceDeployerRoles !== 'boolean') {
+    throw new Error(`Token ${token.name} field renounceDeployerRoles must be true or false`);
+  }
+  if (token.renounceDeployerRoles) {
+    if (enabled.length === 0) {
+      throw new Error(`Token ${token.name} sets renounceDeployerRoles, but template ${template.name} has no roles`);
+    }
+    // Without a signer configured (the validate command) the deployer is unknown
+    if (!token.admin || (deployer && ethers.getAddress(token.admin) === ethers.getAddress(deployer))) {
+      throw new Error(`Token ${token.name} renounces the deployer's roles without another admin, which would leave it with no admin`);
+    }
+  }
+}
+
+// Grants to send, then roles for the deployer to give up (admin last, so it can still grant until then)
+function planHandoff(token, deployer) {
+  const grants = [];
+  for (const [field, role] of Object.entries(ROLE_FIELDS)) {
+    for (const account of configuredAccounts(token, field)) {
+      if (ethers.getAddress(account) !== ethers.getAddress(deployer)) {
+        grants.push({ role, account: ethers.getAddress(account) });
+      }
+    }
+  }
+
+  const renounce = token.renounceDeployerRoles
+    ? constructorRoles(token).sort((a, b) => (a === 'DEFAULT_ADMIN_ROLE') - (b === 'DEFAULT_ADMIN_ROLE'))
+    : [];
+
+  return { grants, renounce };
+}
+
+// Expected holders of each of the token's roles once the hand-over is done. A minting
+// faucet is granted MINTER_ROLE at deployment.
+function expectedRoleTable(token, deployer, faucet = null) {
+  const deployerAddress = ethers.getAddress(deployer);
+  const table = {};
+  for (const role of constructorRoles(token)) {
+    table[role] = token.renounceDeployerRoles ? [] : [deployerAddress];
+  }
+
+  const grants = planHandoff(token, deployer).grants;
+  if (faucet && faucet.minting) {
+    grants.push({ role: 'MINTER_ROLE', account: ethers.getAddress(faucet.address) });
+  }
+  for (const { role, account } of grants) {
+    if (!table[role].includes(account)) {
+      table[role].push(account);
+    }
+  }
+  return table;
+}
+
+// Every account that may hold a role of the token, for reading the role table back
+function roleCandidates(token, deployer, faucet = null) {
+  const accounts = faucet ? [deployer, faucet.address] : [deployer];
+  for (const field of Object.keys(ROLE_FIELDS)) {
+    accounts.push(...configuredAccounts(token, field));
+  }
+  return [...new Set(accounts.map(account => ethers.getAddress(account)))];
+}
+
+module.exports = {
+  ROLE_FIELDS,
+  roleHash,
+  constructorRoles,
+  validateRoleConfig,
+  planHandoff,
+  expectedRoleTable,
+  roleCandidates
+};
@@ -0,0 +1,99 @@
+// safe.js - Safe Transaction Builder batch files: calls collected for a Safe's owners to review and execute
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const BATCH_DIR = path.join(__dirname, '..', 'deployments', 'safe');
+const TX_BUILDER_VERSION = '1.16.5';
+
+// The Transaction Builder's checksum: keccak256 of the batch serialized with sorted keys and
+// without its name, so renaming a batch in the app does not invalidate it
+function serialize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(',')}]`;
+  }
+  if (typeof value === 'object' && value !== null) {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys.map(key => `${serialize(value[key])},`).join('')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function checksum(batch) {
+  const { checksum: _, ...meta } = batch.meta;
+  return ethers.id(serialize({ ...batch, meta: { ...meta, name: null } }));
+}
+
+class SafeBatch {
+  constructor(chainId, safe, batchPath = null) {
+    this.chainId = chainId.toString();
+    this.safe = ethers.getAddress(safe);
+    this.batchPath = batchPath || path.join(BATCH_DIR, `${this.chainId}-${this.safe}.json`);
+    this.createdAt = Date.now();
+    this.descriptions = [];
+    this.transactions = [];
+  }
+
+  // Continues a batch written by earlier commands, which must be for the same Safe and chain
+  load() {
+    if (!fs.existsSync(this.batchPath)) {
+      return this;
+    }
+    const batch = JSON.parse(fs.readFileSync(this.batchPath, 'utf8'));
+    if (batch.chainId !== this.chainId || ethers.getAddress(batch.meta.createdFromSafeAddress) !== this.safe) {
+      throw new Error(`${this.batchPath} is a batch for Safe ${batch.meta.createdFromSafeAddress} on chain ${batch.chainId}`);
+    }
+    this.createdAt = batch.createdAt;
+    this.descriptions = batch.meta.description ? batch.meta.description.split('\n') : [];
+    this.transactions = batch.transactions;
+    return this;
+  }
+
+  // A call to `contract`; its method and arguments are kept alongside the calldata so the
+  // Transaction Builder can show them to the owners
+  add(contract, method, args, description) {
+    const fragment = contract.interface.getFunction(method);
+    const values = {};
+    fragment.inputs.forEach((input, i) => {
+      values[input.name] = args[i].toString();
+    });
+
+    this.transactions.push({
+      to: ethers.getAddress(contract.target),
+      value: '0',
+      data: contract.interface.encodeFunctionData(fragment, args),
+      contractMethod: {
+        inputs: fragment.inputs.map(input => ({ internalType: input.type, name: input.name, type: input.type })),
+        name: fragment.name,
+        payable: fragment.payable
+      },
+      contractInputsValues: values
+    });
+    this.descriptions.push(description);
+  }
+
+  save() {
+    const dir = path.dirname(this.batchPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const batch = {
+      version: '1.0',
+      chainId: this.chainId,
+      createdAt: this.createdAt,
+      meta: {
+        name: `Token admin (${this.transactions.length} transactions)`,
+        description: this.descriptions.join('\n'),
+        txBuilderVersion: TX_BUILDER_VERSION,
+        createdFromSafeAddress: this.safe,
+        createdFromOwnerAddress: ''
+      },
+      transactions: this.transactions
+    };
+    batch.meta.checksum = checksum(batch);
+    fs.writeFileSync(this.batchPath, JSON.stringify(batch, null, 2));
+    return this.batchPath;
+  }
+}
+
+module.exports = SafeBatch;
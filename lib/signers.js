@@ -0,0 +1,268 @@
+// signers.js - The account that signs: a raw key, an encrypted keystore, a mnemonic or an external JSON-RPC signer
+const { ethers } = require('ethers');
+const fs = require('fs');
+const readline = require('readline');
+const networks = require('./networks');
+
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
+
+// The variables that make up one signer's settings; a named signer sets them with its own prefix
+const SIGNER_VARIABLES = [
+  'SIGNER_TYPE', 'PRIVATE_KEY', 'KEYSTORE_PATH', 'KEYSTORE_PASSWORD',
+  'MNEMONIC', 'MNEMONIC_PATH', 'MNEMONIC_INDEX', 'SIGNER_RPC_URL', 'SIGNER_ADDRESS'
+];
+
+// Each signer type and the .env variable that selects it when SIGNER_TYPE is not set
+const SIGNER_TYPES = {
+  privateKey: 'PRIVATE_KEY',
+  keystore: 'KEYSTORE_PATH',
+  mnemonic: 'MNEMONIC',
+  rpc: 'SIGNER_RPC_URL'
+};
+
+// SIGNER_TYPE, or the one signer variable that is set
+function signerType(env = process.env) {
+  if (env.SIGNER_TYPE) {
+    if (!SIGNER_TYPES[env.SIGNER_TYPE]) {
+      throw new Error(`Invalid SIGNER_TYPE: ${env.SIGNER_TYPE}. Must be one of ${Object.keys(SIGNER_TYPES).join(', ')}`);
+    }
+    return env.SIGNER_TYPE;
+  }
+
+  const configured = Object.keys(SIGNER_TYPES).filter(type => env[SIGNER_TYPES[type]]);
+  if (configured.length === 0) {
+    throw new Error(`No signer configured. Set one of ${Object.values(SIGNER_TYPES).join(', ')}`);
+  }
+  if (configured.length > 1) {
+    throw new Error(
+      `Several signers configured (${configured.map(type => SIGNER_TYPES[type]).join(', ')}). Set SIGNER_TYPE to pick one`
+    );
+  }
+  return configured[0];
+}
+
+function hdPath(env = process.env) {
+  const base = env.MNEMONIC_PATH || DEFAULT_HD_PATH;
+  return `${base}/${env.MNEMONIC_INDEX || 0}`;
+}
+
+function readKeystore(env = process.env) {
+  if (!fs.existsSync(env.KEYSTORE_PATH)) {
+    throw new Error(`Keystore file not found: ${env.KEYSTORE_PATH}`);
+  }
+  const json = fs.readFileSync(env.KEYSTORE_PATH, 'utf8');
+  if (!ethers.isKeystoreJson(json)) {
+    throw new Error(`${env.KEYSTORE_PATH} is not an encrypted JSON keystore`);
+  }
+  return json;
+}
+
+// Checks the configured signer without unlocking it or going to the network. Returns the signer
+// type and, where the settings alone tell, its address.
+function validateSignerConfig(env = process.env) {
+  const type = signerType(env);
+  let address = null;
+
+  if (type === 'privateKey') {
+    if (!env.PRIVATE_KEY || !/^0x[0-9a-fA-F]{64}$/.test(env.PRIVATE_KEY)) {
+      throw new Error('Invalid private key format. Must be 64 hex characters prefixed with 0x');
+    }
+    address = new ethers.Wallet(env.PRIVATE_KEY).address;
+  }
+
+  if (type === 'keystore') {
+    if (!env.KEYSTORE_PATH) {
+      throw new Error('SIGNER_TYPE is keystore but KEYSTORE_PATH is not set');
+    }
+    address = ethers.getAddress(JSON.parse(readKeystore(env)).address);
+  }
+
+  if (type === 'mnemonic') {
+    if (!env.MNEMONIC || !ethers.Mnemonic.isValidMnemonic(env.MNEMONIC.trim())) {
+      throw new Error('MNEMONIC is not a valid BIP-39 mnemonic');
+    }
+    if (env.MNEMONIC_PATH && !/^m(\/\d+'?)*$/.test(env.MNEMONIC_PATH)) {
+      throw new Error(`Invalid MNEMONIC_PATH: ${env.MNEMONIC_PATH}. Expected e.g. ${DEFAULT_HD_PATH}`);
+    }
+    if (env.MNEMONIC_INDEX && !/^\d+$/.test(env.MNEMONIC_INDEX)) {
+      throw new Error(`Invalid MNEMONIC_INDEX: ${env.MNEMONIC_INDEX}. Must be a non-negative integer`);
+    }
+    address = ethers.HDNodeWallet.fromPhrase(env.MNEMONIC.trim(), undefined, hdPath(env)).address;
+  }
+
+  if (type === 'rpc') {
+    if (!env.SIGNER_RPC_URL || !/^(https?|wss?):\/\//.test(env.SIGNER_RPC_URL)) {
+      throw new Error(`Invalid SIGNER_RPC_URL: ${env.SIGNER_RPC_URL}. Must be an http(s) or ws(s) URL`);
+    }
+    if (env.SIGNER_ADDRESS && !ethers.isAddress(env.SIGNER_ADDRESS)) {
+      throw new Error(`Invalid SIGNER_ADDRESS: ${env.SIGNER_ADDRESS}`);
+    }
+  }
+
+  // Optional: a check that the configured signer is the intended account
+  if (env.DEPLOYER_ADDRESS) {
+    if (!ethers.isAddress(env.DEPLOYER_ADDRESS)) {
+      throw new Error(`Invalid DEPLOYER_ADDRESS: ${env.DEPLOYER_ADDRESS}`);
+    }
+    checkDeployerAddress(address, env);
+  }
+
+  return { type, address };
+}
+
+function checkDeployerAddress(address, env = process.env) {
+  if (address && env.DEPLOYER_ADDRESS && ethers.getAddress(address) !== ethers.getAddress(env.DEPLOYER_ADDRESS)) {
+    throw new Error(`DEPLOYER_ADDRESS does not match the signer\nExpected: ${address}\nGot: ${env.DEPLOYER_ADDRESS}`);
+  }
+}
+
+// Reads a line from the terminal without echoing it
+function promptPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+    let muted = false;
+    rl._writeToOutput = text => {
+      if (!muted) {
+        rl.output.write(text);
+      }
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+// The configured signer, connected to `provider`. A keystore is unlocked with KEYSTORE_PASSWORD
+// or a password typed at a prompt. An external signer sends through its own endpoint with
+// eth_sendTransaction, as SIGNER_ADDRESS (or DEPLOYER_ADDRESS, or its first account).
+async function loadSigner(provider, env = process.env) {
+  const { type } = validateSignerConfig(env);
+
+  if (type === 'privateKey') {
+    return new ethers.Wallet(env.PRIVATE_KEY, provider);
+  }
+
+  if (type === 'keystore') {
+    const password = env.KEYSTORE_PASSWORD !== undefined
+      ? env.KEYSTORE_PASSWORD
+      : await promptPassword(`Password for ${env.KEYSTORE_PATH}: `);
+    try {
+      const wallet = await ethers.Wallet.fromEncryptedJson(readKeystore(env), password);
+      return wallet.connect(provider);
+    } catch (error) {
+      throw new Error(`Could not unlock ${env.KEYSTORE_PATH}: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  if (type === 'mnemonic') {
+    return ethers.HDNodeWallet.fromPhrase(env.MNEMONIC.trim(), undefined, hdPath(env)).connect(provider);
+  }
+
+  const signerProvider = networks.connect(env.SIGNER_RPC_URL);
+  const accounts = (await signerProvider.send('eth_accounts', [])).map(account => ethers.getAddress(account));
+  const wanted = env.SIGNER_ADDRESS || env.DEPLOYER_ADDRESS;
+  if (!wanted && accounts.length === 0) {
+    throw new Error(`External signer at ${env.SIGNER_RPC_URL} has no accounts`);
+  }
+  const address = wanted ? ethers.getAddress(wanted) : accounts[0];
+  if (!accounts.includes(address)) {
+    throw new Error(`External signer at ${env.SIGNER_RPC_URL} does not manage ${address}`);
+  }
+  checkDeployerAddress(address, env);
+  return signerProvider.getSigner(address);
+}
+
+// Moves a signer to another network. An external signer is bound to its own endpoint, which
+// must then be on the same chain.
+async function connectSigner(signer, provider) {
+  if (!(signer instanceof ethers.JsonRpcSigner)) {
+    return signer.connect(provider);
+  }
+  const [expected, actual] = await Promise.all([provider.getNetwork(), signer.provider.getNetwork()]);
+  if (expected.chainId !== actual.chainId) {
+    throw new Error(`External signer is on chain ${actual.chainId}, not ${expected.chainId}`);
+  }
+  return signer;
+}
+
+// Names of the signers configured besides the default one, from SIGNERS=ops,treasury
+function signerNames(env = process.env) {
+  return (env.SIGNERS || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+// The settings of a named signer: for "ops", OPS_PRIVATE_KEY, OPS_KEYSTORE_PATH and so on, in
+// place of the default signer's. DEPLOYER_ADDRESS only checks the default signer.
+function namedSignerEnv(name, env = process.env) {
+  const prefix = `${name.toUpperCase().replace(/-/g, '_')}_`;
+  const named = { ...env };
+  delete named.DEPLOYER_ADDRESS;
+  for (const variable of SIGNER_VARIABLES) {
+    delete named[variable];
+    if (env[prefix + variable] !== undefined) {
+      named[variable] = env[prefix + variable];
+    }
+  }
+  return named;
+}
+
+// The settings --from picks: a name listed in SIGNERS, or the address of the default signer or a
+// named one. An external signer without SIGNER_ADDRESS may manage the address, which loadSigner
+// then checks.
+function selectSigner(from, env = process.env) {
+  const names = signerNames(env);
+  if (!ethers.isAddress(from)) {
+    if (!names.includes(from)) {
+      throw new Error(`Unknown signer: ${from}. ${names.length > 0 ? `Configured in SIGNERS: ${names.join(', ')}` : 'SIGNERS is not set'}`);
+    }
+    return namedSignerEnv(from, env);
+  }
+
+  const address = ethers.getAddress(from);
+  const candidates = [env, ...names.map(name => namedSignerEnv(name, env))];
+  let external = null;
+  for (const candidate of candidates) {
+    let config;
+    try {
+      config = validateSignerConfig(candidate);
+    } catch (error) {
+      continue;
+    }
+    const known = config.address || (candidate.SIGNER_ADDRESS ? ethers.getAddress(candidate.SIGNER_ADDRESS) : null);
+    if (known === address) {
+      return candidate;
+    }
+    if (config.type === 'rpc' && !known && !external) {
+      external = { ...candidate, SIGNER_ADDRESS: address };
+    }
+  }
+  if (external) {
+    return external;
+  }
+  throw new Error(`No configured signer is ${address}`);
+}
+
+function describeSigner(env = process.env) {
+  const type = signerType(env);
+  return {
+    privateKey: 'private key',
+    keystore: `keystore ${env.KEYSTORE_PATH}`,
+    mnemonic: `mnemonic, path ${hdPath(env)}`,
+    rpc: `external signer at ${env.SIGNER_RPC_URL}`
+  }[type];
+}
+
+module.exports = {
+  SIGNER_TYPES,
+  DEFAULT_HD_PATH,
+  signerType,
+  validateSignerConfig,
+  signerNames,
+  namedSignerEnv,
+  selectSigner,
+  loadSigner,
+  connectSigner,
+  describeSigner
+};
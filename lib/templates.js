@@ -0,0 +1,352 @@
+// templates.js - Token contract templates and their constructor schemas
+const { ethers } = require('ethers');
+
+const DEFAULT_TEMPLATE = 'feature-flag';
+
+// Templates may raise this with `maxDecimals`
+const DEFAULT_MAX_DECIMALS = 18;
+
+// The largest power of ten that fits in a uint256 is 10^77
+const UINT256_MAX_DECIMALS = 77;
+
+// Flags of the feature-flag token; other templates reject them unless they take them as arguments
+const FEATURE_FLAGS = ['mintable', 'burnable', 'pausable'];
+
+// Constructor arguments are read from the token field of the same name, except for
+// `source: 'owner'` (the deploying account). `units` amounts are given in whole tokens.
+// Templates of non-standard test tokens describe their behaviour with `quirk`, which is
+// recorded in the deployment report. `roles` maps each AccessControl role of the contract to
+// whether the owner is granted it at construction. Templates with `upgradeable` can be deployed
+// behind a proxy: the implementation contract for each proxy kind takes the constructor
+// arguments in `initialize` instead.
+const NAME_ARGS = [
+  { name: 'name', type: 'string' },
+  { name: 'symbol', type: 'string' },
+  { name: 'decimals', type: 'uint8' },
+  { name: 'initialSupply', type: 'uint256', units: true }
+];
+const OWNER_ARG = { name: 'owner', type: 'address', source: 'owner' };
+
+const TEMPLATES = {
+  'feature-flag': {
+    contract: 'ERC20Token',
+    source: 'ERC20Token.sol',
+    description: 'Mint, burn and pause each enabled by a flag',
+    args: [
+      ...NAME_ARGS,
+      { name: 'mintable', type: 'bool', default: false },
+      { name: 'burnable', type: 'bool', default: false },
+      { name: 'pausable', type: 'bool', default: false },
+      OWNER_ARG
+    ],
+    capabilities: token => ({
+      mintable: token.mintable || false,
+      burnable: token.burnable || false,
+      pausable: token.pausable || false
+    }),
+    roles: token => ({
+      DEFAULT_ADMIN_ROLE: true,
+      MINTER_ROLE: token.mintable || false,
+      PAUSER_ROLE: token.pausable || false
+    }),
+    upgradeable: { source: 'ERC20TokenUpgradeable.sol', transparent: 'ERC20TokenUpgradeable', uups: 'ERC20TokenUUPS' }
+  },
+  capped: {
+    contract: 'CappedToken',
+    source: 'CappedToken.sol',
+    description: 'Mintable up to a fixed cap, burnable',
+    args: [
+      ...NAME_ARGS,
+      { name: 'cap', type: 'uint256', units: true },
+      OWNER_ARG
+    ],
+    capabilities: () => ({ mintable: true, burnable: true, pausable: false, capped: true }),
+    roles: () => ({ DEFAULT_ADMIN_ROLE: true, MINTER_ROLE: true }),
+    upgradeable: { source: 'CappedTokenUpgradeable.sol', transparent: 'CappedTokenUpgradeable', uups: 'CappedTokenUUPS' },
+    validate: token => {
+      const cap = ethers.parseUnits(token.cap, token.decimals);
+      if (cap === 0n) {
+        throw new Error(`Token ${token.name} has a cap of 0`);
+      }
+      if (ethers.parseUnits(token.initialSupply, token.decimals) > cap) {
+        throw new Error(`Token ${token.name} has initialSupply ${token.initialSupply} above its cap ${token.cap}`);
+      }
+    }
+  },
+  permit: {
+    contract: 'PermitToken',
+    source: 'PermitToken.sol',
+    description: 'EIP-2612 permit approvals, burnable, optionally mintable',
+    args: [
+      ...NAME_ARGS,
+      { name: 'mintable', type: 'bool', default: false },
+      OWNER_ARG
+    ],
+    capabilities: token => ({ mintable: token.mintable || false, burnable: true, pausable: false, permit: true }),
+    roles: token => ({ DEFAULT_ADMIN_ROLE: true, MINTER_ROLE: token.mintable || false }),
+    upgradeable: { source: 'PermitTokenUpgradeable.sol', transparent: 'PermitTokenUpgradeable', uups: 'PermitTokenUUPS' }
+  },
+  votes: {
+    contract: 'VotesToken',
+    source: 'VotesToken.sol',
+    description: 'ERC20Votes delegation and checkpoints with permit, burnable, optionally mintable',
+    args: [
+      ...NAME_ARGS,
+      { name: 'mintable', type: 'bool', default: false },
+      OWNER_ARG
+    ],
+    capabilities: token => ({ mintable: token.mintable || false, burnable: true, pausable: false, permit: true, votes: true }),
+    roles: token => ({ DEFAULT_ADMIN_ROLE: true, MINTER_ROLE: token.mintable || false })
+  },
+  fixed: {
+    contract: 'FixedSupplyToken',
+    source: 'FixedSupplyToken.sol',
+    description: 'Minimal fixed-supply token with no roles or extensions',
+    args: [...NAME_ARGS, OWNER_ARG],
+    capabilities: () => ({ mintable: false, burnable: false, pausable: false })
+  },
+  'fee-on-transfer': {
+    contract: 'FeeOnTransferToken',
+    source: 'FeeOnTransferToken.sol',
+    description: 'Takes a fee from every transfer, so recipients receive less than was sent',
+    args: [
+      ...NAME_ARGS,
+      { name: 'feeBps', type: 'uint16', default: 100 },
+      OWNER_ARG
+    ],
+    capabilities: () => ({ mintable: false, burnable: false, pausable: false }),
+    quirk: token => {
+      const feeBps = token.feeBps !== undefined ? token.feeBps : 100;
+      return `${feeBps / 100}% fee on transfers, paid to the owner (transfers from or to the owner are exempt)`;
+    },
+    validate: token => {
+      if (token.feeBps !== undefined && token.feeBps >= 10000) {
+        throw new Error(`Token ${token.name} has feeBps ${token.feeBps}. Must be below 10000`);
+      }
+    }
+  },
+  rebasing: {
+    contract: 'RebasingToken',
+    source: 'RebasingToken.sol',
+    description: 'Balances are shares of a total supply that REBASER_ROLE can change',
+    args: [...NAME_ARGS, OWNER_ARG],
+    capabilities: () => ({ mintable: false, burnable: false, pausable: false }),
+    roles: () => ({ DEFAULT_ADMIN_ROLE: true, REBASER_ROLE: true }),
+    quirk: () => 'Balances change without transfers when rebase() sets a new total supply'
+  },
+  'no-return': {
+    contract: 'NoReturnToken',
+    source: 'NoReturnToken.sol',
+    description: 'transfer, transferFrom and approve return nothing instead of a bool',
+    args: [...NAME_ARGS, OWNER_ARG],
+    capabilities: () => ({ mintable: false, burnable: false, pausable: false }),
+    quirk: () => 'transfer, transferFrom and approve do not return a bool'
+  },
+  'revert-on-zero': {
+    contract: 'RevertOnZeroToken',
+    source: 'RevertOnZeroToken.sol',
+    description: 'Reverts on zero-value transfers',
+    args: [...NAME_ARGS, OWNER_ARG],
+    capabilities: () => ({ mintable: false, burnable: false, pausable: false }),
+    quirk: () => 'Zero-value transfers revert'
+  },
+  blocklist: {
+    contract: 'BlocklistToken',
+    source: 'BlocklistToken.sol',
+    description: 'BLOCKLISTER_ROLE can block accounts from sending and receiving',
+    args: [...NAME_ARGS, OWNER_ARG],
+    capabilities: () => ({ mintable: false, burnable: false, pausable: false }),
+    roles: () => ({ DEFAULT_ADMIN_ROLE: true, BLOCKLISTER_ROLE: true }),
+    quirk: () => 'Transfers from or to blocked accounts revert'
+  },
+  'high-decimals': {
+    contract: 'FixedSupplyToken',
+    source: 'FixedSupplyToken.sol',
+    description: 'Fixed-supply token with more than 18 decimals',
+    maxDecimals: UINT256_MAX_DECIMALS,
+    args: [...NAME_ARGS, OWNER_ARG],
+    capabilities: () => ({ mintable: false, burnable: false, pausable: false }),
+    quirk: token => `${token.decimals} decimals`,
+    validate: token => {
+      if (token.decimals <= 18) {
+        throw new Error(`Token ${token.name} uses template high-decimals with ${token.decimals} decimals. Must be more than 18`);
+      }
+    }
+  },
+  'approval-race': {
+    contract: 'ApprovalRaceToken',
+    source: 'ApprovalRaceToken.sol',
+    description: 'A non-zero allowance must be reset to zero before it can be changed',
+    args: [...NAME_ARGS, OWNER_ARG],
+    capabilities: () => ({ mintable: false, burnable: false, pausable: false }),
+    quirk: () => 'approve reverts when changing one non-zero allowance to another'
+  }
+};
+
+function getTemplate(name = DEFAULT_TEMPLATE) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown template: ${name}. Available: ${Object.keys(TEMPLATES).join(', ')}`);
+  }
+  return { name, ...template };
+}
+
+const PROXY_KINDS = ['uups', 'transparent'];
+
+// Source and contract of the template's implementation for a proxy kind
+function implementation(template, kind) {
+  if (!PROXY_KINDS.includes(kind)) {
+    throw new Error(`Unknown proxy kind: ${kind}. Use ${PROXY_KINDS.join(' or ')}`);
+  }
+  if (!template.upgradeable) {
+    const supported = Object.keys(TEMPLATES).filter(name => TEMPLATES[name].upgradeable);
+    throw new Error(`Template ${template.name} cannot be deployed behind a proxy. Upgradeable templates: ${supported.join(', ')}`);
+  }
+  return { source: template.upgradeable.source, contract: template.upgradeable[kind] };
+}
+
+function checkArgType(token, arg, value) {
+  const fail = expected => {
+    throw new Error(`Token ${token.name} field ${arg.name} must be ${expected}, got ${JSON.stringify(value)}`);
+  };
+
+  switch (arg.type) {
+    case 'string':
+      if (typeof value !== 'string' || value === '') fail('a non-empty string');
+      break;
+    case 'bool':
+      if (typeof value !== 'boolean') fail('true or false');
+      break;
+    case 'uint8':
+      if (!Number.isInteger(value) || value < 0 || value > 255) fail('an integer from 0 to 255');
+      break;
+    case 'uint16':
+      if (!Number.isInteger(value) || value < 0 || value > 65535) fail('an integer from 0 to 65535');
+      break;
+    case 'uint256': {
+      if (typeof value !== 'string') fail('a decimal string');
+      let parsed;
+      try {
+        parsed = ethers.parseUnits(value, arg.units ? token.decimals : 0);
+      } catch (error) {
+        fail(`a non-negative amount with at most ${token.decimals} decimal places`);
+      }
+      if (value.startsWith('-')) fail('a non-negative amount');
+      if (parsed > ethers.MaxUint256) fail(`an amount that fits in a uint256 at ${token.decimals} decimals`);
+      break;
+    }
+    case 'address':
+      if (!ethers.isAddress(value)) fail('an address');
+      break;
+  }
+}
+
+// Checks a token against its template's constructor schema
+function validateTemplateConfig(token) {
+  const template = getTemplate(token.template);
+
+  const maxDecimals = template.maxDecimals || DEFAULT_MAX_DECIMALS;
+  if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > maxDecimals) {
+    throw new Error(`Token ${token.name} has invalid decimals: ${token.decimals}. Must be 0-${maxDecimals}`);
+  }
+
+  for (const arg of template.args) {
+    if (arg.source) {
+      continue;
+    }
+    const value = token[arg.name];
+    if (value === undefined) {
+      if (!('default' in arg)) {
+        throw new Error(`Token ${token.name} (template ${template.name}) missing required field: ${arg.name}`);
+      }
+      continue;
+    }
+    checkArgType(token, arg, value);
+  }
+
+  const argNames = template.args.map(arg => arg.name);
+  for (const flag of FEATURE_FLAGS) {
+    if (token[flag] && !argNames.includes(flag)) {
+      throw new Error(`Token ${token.name}: template ${template.name} does not support ${flag}`);
+    }
+  }
+
+  if (token.proxy !== undefined) {
+    try {
+      implementation(template, token.proxy);
+    } catch (error) {
+      throw new Error(`Token ${token.name}: ${error.message}`);
+    }
+    if (token.deterministic) {
+      throw new Error(`Token ${token.name}: proxy deployments cannot be deterministic`);
+    }
+  }
+
+  if (template.validate) {
+    template.validate(token);
+  }
+}
+
+function constructorTypes(template) {
+  return template.args.map(arg => arg.type);
+}
+
+function constructorArgs(template, token, owner) {
+  return template.args.map(arg => {
+    if (arg.source === 'owner') {
+      return owner;
+    }
+    const value = token[arg.name] !== undefined ? token[arg.name] : arg.default;
+    return arg.units ? ethers.parseUnits(value, token.decimals) : value;
+  });
+}
+
+// ABI-encoded arguments without the 0x prefix, as block explorers expect them
+function encodeConstructorArgs(template, token, owner) {
+  return ethers.AbiCoder.defaultAbiCoder()
+    .encode(constructorTypes(template), constructorArgs(template, token, owner))
+    .slice(2);
+}
+
+// Config values of the template's arguments, with defaults applied, for the deployment report
+function recordParams(template, token) {
+  const params = {};
+  for (const arg of template.args) {
+    if (!arg.source) {
+      params[arg.name] = token[arg.name] !== undefined ? token[arg.name] : arg.default;
+    }
+  }
+  return params;
+}
+
+// Non-standard behaviour of the token, or null for templates that follow the standard
+function describeQuirk(template, token) {
+  return template.quirk ? template.quirk(token) : null;
+}
+
+function describeFeatures(capabilities) {
+  const labels = {
+    mintable: 'Mintable',
+    burnable: 'Burnable',
+    pausable: 'Pausable',
+    capped: 'Capped',
+    permit: 'Permit',
+    votes: 'Votes'
+  };
+  return Object.keys(labels).filter(key => capabilities[key]).map(key => labels[key]);
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  TEMPLATES,
+  PROXY_KINDS,
+  getTemplate,
+  implementation,
+  validateTemplateConfig,
+  constructorTypes,
+  constructorArgs,
+  encodeConstructorArgs,
+  recordParams,
+  describeQuirk,
+  describeFeatures
+};
@@ -0,0 +1,37 @@
+// time.js - Timestamps and durations as written in tokens.json
+const DURATION_UNITS = {
+  s: 1,
+  m: 60,
+  h: 3600,
+  d: 86400,
+  w: 7 * 86400,
+  y: 365 * 86400
+};
+
+// Unix seconds, or anything Date.parse understands (e.g. "2026-12-31T00:00:00Z")
+function parseTimestamp(value) {
+  if (Number.isInteger(value) && value > 0) {
+    return value;
+  }
+  const parsed = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+// Seconds, or a number with a unit: "90d", "12h", "2y" (a year is 365 days)
+function parseDuration(value) {
+  if (Number.isInteger(value) && value >= 0) {
+    return value;
+  }
+  const match = typeof value === 'string' ? value.trim().match(/^(\d+)\s*([smhdwy])$/) : null;
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+function toISOString(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+module.exports = {
+  parseTimestamp,
+  parseDuration,
+  toISOString
+};
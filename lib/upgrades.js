@@ -0,0 +1,131 @@
+// upgrades.js - Proxy slots, initializer calls and storage-layout checks for upgradeable tokens
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const LAYOUTS_DIR = path.join(__dirname, '..', 'deployments', 'upgrades');
+
+// ERC-1967 storage slots of the implementation and (for transparent proxies) the ProxyAdmin
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+// OpenZeppelin proxy contracts by kind, compiled from node_modules
+const PROXY_CONTRACTS = {
+  uups: { source: '@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol', contract: 'ERC1967Proxy' },
+  transparent: {
+    source: '@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol',
+    contract: 'TransparentUpgradeableProxy'
+  }
+};
+
+const PROXY_ADMIN_ABI = [
+  'function owner() view returns (address)',
+  'function upgradeAndCall(address proxy, address implementation, bytes data) payable'
+];
+const UUPS_ABI = ['function upgradeToAndCall(address implementation, bytes data) payable'];
+
+async function readAddressSlot(provider, address, slot) {
+  const value = await provider.getStorage(address, slot);
+  return ethers.getAddress(ethers.dataSlice(value, 12));
+}
+
+// { implementation, admin } as stored in the proxy; admin is the zero address for UUPS proxies
+async function readProxy(provider, address) {
+  return {
+    implementation: await readAddressSlot(provider, address, IMPLEMENTATION_SLOT),
+    admin: await readAddressSlot(provider, address, ADMIN_SLOT)
+  };
+}
+
+// Constructor arguments of the proxy: the implementation, the transparent proxy's admin owner,
+// and the initializer call that takes the place of the token constructor
+function proxyArgs(kind, implementationAddress, owner, initData) {
+  return kind === 'transparent' ? [implementationAddress, owner, initData] : [implementationAddress, initData];
+}
+
+function initializeData(artifact, args) {
+  return new ethers.Interface(artifact.abi).encodeFunctionData('initialize', args);
+}
+
+// Sends the upgrade through the ProxyAdmin (transparent) or the proxy itself (UUPS)
+function upgradeCall(kind, proxy, admin, newImplementation, runner) {
+  if (kind === 'transparent') {
+    return new ethers.Contract(admin, PROXY_ADMIN_ABI, runner).upgradeAndCall(proxy, newImplementation, '0x');
+  }
+  return new ethers.Contract(proxy, UUPS_ABI, runner).upgradeToAndCall(newImplementation, '0x');
+}
+
+// One entry per variable: { slot, offset, label, type } with the type given by its readable name,
+// since solc type ids embed AST ids that change between compilations
+function normalizeLayout(storageLayout) {
+  const types = storageLayout.types || {};
+  return storageLayout.storage.map(entry => ({
+    slot: entry.slot,
+    offset: entry.offset,
+    label: entry.label,
+    contract: entry.contract,
+    type: types[entry.type] ? types[entry.type].label : entry.type,
+    bytes: types[entry.type] ? types[entry.type].numberOfBytes : null
+  }));
+}
+
+// Lists why `next` cannot replace `previous`: every variable of the previous implementation must
+// keep its slot, offset, name and type. New variables may only be added after the existing ones.
+// Namespaced (ERC-7201) storage of the OpenZeppelin base contracts is not part of solc's layout.
+function compareLayouts(previous, next) {
+  const problems = [];
+  const nextEntries = normalizeLayout(next);
+
+  for (const old of normalizeLayout(previous)) {
+    const where = `slot ${old.slot}, offset ${old.offset}`;
+    const match = nextEntries.find(entry => entry.slot === old.slot && entry.offset === old.offset);
+    if (!match) {
+      problems.push(`${old.label} (${old.type}) at ${where} was removed or moved`);
+      continue;
+    }
+    if (match.label !== old.label) {
+      problems.push(`${old.label} at ${where} was replaced by ${match.label}`);
+    }
+    if (match.type !== old.type || match.bytes !== old.bytes) {
+      problems.push(`${old.label} at ${where} changed type from ${old.type} to ${match.type}`);
+    }
+  }
+  return problems;
+}
+
+function layoutPath(chainId, symbol) {
+  return path.join(LAYOUTS_DIR, `${chainId}-${symbol}.json`);
+}
+
+// The file holds the current implementation's storage layout and the history of upgrades
+function saveLayout(chainId, symbol, record) {
+  if (!fs.existsSync(LAYOUTS_DIR)) {
+    fs.mkdirSync(LAYOUTS_DIR, { recursive: true });
+  }
+  const filePath = layoutPath(chainId, symbol);
+  fs.writeFileSync(filePath, JSON.stringify(record, null, 2));
+  return filePath;
+}
+
+function loadLayout(chainId, symbol) {
+  const filePath = layoutPath(chainId, symbol);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No storage layout recorded for ${symbol} on chain ${chainId} (${filePath})`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  PROXY_CONTRACTS,
+  readProxy,
+  proxyArgs,
+  initializeData,
+  upgradeCall,
+  normalizeLayout,
+  compareLayouts,
+  layoutPath,
+  saveLayout,
+  loadLayout
+};
@@ -0,0 +1,64 @@
+// verificationHistory.js - Verification results per network, merged across runs
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_DIR = path.join(__dirname, '..', 'deployments', 'verification');
+
+class VerificationHistory {
+  constructor(network, historyDir = HISTORY_DIR) {
+    this.network = network;
+    this.historyPath = path.join(historyDir, `${network}.json`);
+    this.chainId = null;
+    this.contracts = {};
+    this.runs = [];
+  }
+
+  load() {
+    if (fs.existsSync(this.historyPath)) {
+      const history = JSON.parse(fs.readFileSync(this.historyPath, 'utf8'));
+      this.chainId = history.chainId ?? null;
+      this.contracts = history.contracts || {};
+      this.runs = history.runs || [];
+    }
+    return this;
+  }
+
+  save() {
+    const dir = path.dirname(this.historyPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const history = {
+      network: this.network,
+      chainId: this.chainId,
+      updatedAt: new Date().toISOString(),
+      contracts: this.contracts,
+      runs: this.runs
+    };
+    fs.writeFileSync(this.historyPath, JSON.stringify(history, null, 2));
+  }
+
+  // Latest status of a contract, keyed by address. `status` is verified, already-verified or
+  // failed; a contract once verified stays verified, and every attempt is kept in `attempts`.
+  record(address, { symbol, contract, verifier, status, message }, timestamp = new Date().toISOString()) {
+    const entry = this.contracts[address] || { symbol, contract, attempts: [] };
+    const verified = status !== 'failed';
+
+    this.contracts[address] = {
+      ...entry,
+      symbol,
+      contract,
+      verified: entry.verified || verified,
+      verifiedAt: entry.verifiedAt || (verified ? timestamp : undefined),
+      verifier: verified ? verifier : entry.verifier,
+      attempts: [...entry.attempts, { timestamp, verifier, status, message }]
+    };
+  }
+
+  // One line per run: which report it read and the symbols by outcome
+  addRun(run) {
+    this.runs.push(run);
+  }
+}
+
+module.exports = VerificationHistory;
@@ -0,0 +1,247 @@
+// verifiers.js - Source verification backends: Etherscan-compatible explorers, Blockscout and Sourcify
+const axios = require('axios');
+
+// Explorers of the networks that need no "verify" settings in tokens.json
+const ETHERSCAN_APIS = {
+  mainnet: 'https://api.etherscan.io/api',
+  sepolia: 'https://api-sepolia.etherscan.io/api',
+  goerli: 'https://api-goerli.etherscan.io/api',
+  polygon: 'https://api.polygonscan.com/api',
+  bsc: 'https://api.bscscan.com/api',
+  arbitrum: 'https://api.arbiscan.io/api',
+  optimism: 'https://api-optimistic.etherscan.io/api',
+  avalanche: 'https://api.snowtrace.io/api'
+};
+
+const SOURCIFY_API = 'https://sourcify.dev/server';
+
+// Every backend takes a request { address, build, constructorArgs, deploymentTx }, where `build`
+// is the build info plus the `path:Contract` name, and implements
+//   isVerified(address)  -> whether the explorer already has the source
+//   submit(request)      -> handle for checkStatus, or null if the source was already verified
+//   checkStatus(handle)  -> { pending, success, message }
+// Each throws RateLimitError when the API asks to slow down.
+
+class RateLimitError extends Error {
+  constructor(message, retryAfter = null) {
+    super(message);
+    this.name = 'RateLimitError';
+    // Seconds the API asked to wait, if it said
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Runs an axios request, turning HTTP 429 into a RateLimitError
+async function request(send) {
+  try {
+    return await send();
+  } catch (error) {
+    if (error.response && error.response.status === 429) {
+      const retryAfter = Number(error.response.headers['retry-after']);
+      throw new RateLimitError('Rate limit reached (HTTP 429)', Number.isFinite(retryAfter) ? retryAfter : null);
+    }
+    throw error;
+  }
+}
+
+// Etherscan reports rate limits as a normal result, e.g. "Max calls per sec rate limit reached (5/sec)"
+function checkEtherscanRateLimit(data) {
+  if (data.status !== '1' && typeof data.result === 'string' && /rate limit/i.test(data.result)) {
+    throw new RateLimitError(data.result);
+  }
+  return data;
+}
+
+// Explorers with Etherscan's `module=contract` API. Requests are form-encoded, as Etherscan requires.
+class EtherscanVerifier {
+  constructor({ apiUrl, apiKey }) {
+    if (!apiKey && this.requiresKey()) {
+      throw new Error('ETHERSCAN_API_KEY not found in .env');
+    }
+    this.name = 'Etherscan';
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey || null;
+  }
+
+  requiresKey() {
+    return true;
+  }
+
+  params(values) {
+    return this.apiKey ? { apikey: this.apiKey, ...values } : values;
+  }
+
+  async get(params) {
+    const response = await request(() => axios.get(this.apiUrl, { params: this.params(params) }));
+    return checkEtherscanRateLimit(response.data);
+  }
+
+  async isVerified(address) {
+    const data = await this.get({ module: 'contract', action: 'getsourcecode', address });
+    return data.status === '1' && Array.isArray(data.result) && data.result.length > 0 && data.result[0].SourceCode !== '';
+  }
+
+  async submit({ address, build, constructorArgs }) {
+    const response = await request(() => axios.post(this.apiUrl, new URLSearchParams(this.params({
+      module: 'contract',
+      action: 'verifysourcecode',
+      contractaddress: address,
+      sourceCode: JSON.stringify(build.input),
+      codeformat: 'solidity-standard-json-input',
+      contractname: build.contractName,
+      compilerversion: build.compilerVersion,
+      constructorArguements: constructorArgs,
+      licenseType: '3' // MIT
+    }))));
+
+    const data = checkEtherscanRateLimit(response.data);
+    if (data.status !== '1') {
+      if (/already verified/i.test(data.result)) {
+        return null;
+      }
+      throw new Error(`Failed to submit verification: ${data.result}`);
+    }
+    return data.result;
+  }
+
+  async checkStatus(guid) {
+    const data = await this.get({ module: 'contract', action: 'checkverifystatus', guid });
+
+    if (data.status === '1' || /already verified/i.test(data.result)) {
+      return { pending: false, success: true, message: 'Verified' };
+    }
+    if (data.result === 'Pending in queue') {
+      return { pending: true, success: false, message: data.result };
+    }
+    return { pending: false, success: false, message: data.result };
+  }
+}
+
+// Blockscout serves the same API at {instance}/api, and takes an API key only for higher rate limits
+class BlockscoutVerifier extends EtherscanVerifier {
+  constructor(options) {
+    super(options);
+    this.name = 'Blockscout';
+  }
+
+  requiresKey() {
+    return false;
+  }
+}
+
+// Sourcify's v2 API takes the standard JSON input directly and verifies by chain ID
+class SourcifyVerifier {
+  constructor({ apiUrl, chainId }) {
+    this.name = 'Sourcify';
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.chainId = chainId;
+  }
+
+  async isVerified(address) {
+    try {
+      const response = await request(() => axios.get(`${this.apiUrl}/v2/contract/${this.chainId}/${address}`));
+      return Boolean(response.data.match);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async submit({ address, build, deploymentTx }) {
+    try {
+      const response = await request(() => axios.post(`${this.apiUrl}/v2/verify/${this.chainId}/${address}`, {
+        stdJsonInput: build.input,
+        compilerVersion: build.compilerVersion.replace(/^v/, ''),
+        contractIdentifier: build.contractName,
+        creationTransactionHash: deploymentTx
+      }));
+      return response.data.verificationId;
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        throw error;
+      }
+      // 409 Conflict: the contract is already verified
+      if (error.response && error.response.status === 409) {
+        return null;
+      }
+      throw new Error(`Failed to submit verification: ${SourcifyVerifier.describeError(error)}`);
+    }
+  }
+
+  async checkStatus(verificationId) {
+    const response = await request(() => axios.get(`${this.apiUrl}/v2/verify/${verificationId}`));
+    const job = response.data;
+
+    if (!job.isJobCompleted) {
+      return { pending: true, success: false, message: 'Pending' };
+    }
+    if (job.error) {
+      return { pending: false, success: false, message: job.error.message || job.error.customCode };
+    }
+    return { pending: false, success: true, message: `Verified (${job.contract.match} match)` };
+  }
+
+  static describeError(error) {
+    const data = error.response && error.response.data;
+    return data && data.message ? data.message : error.message;
+  }
+}
+
+const VERIFIERS = {
+  etherscan: EtherscanVerifier,
+  blockscout: BlockscoutVerifier,
+  sourcify: SourcifyVerifier
+};
+
+function validateVerifyConfig(settings, where) {
+  if (settings === undefined) {
+    return;
+  }
+  if (settings.type !== undefined && !VERIFIERS[settings.type]) {
+    throw new Error(`${where} has unknown verify type: ${settings.type}. Must be one of ${Object.keys(VERIFIERS).join(', ')}`);
+  }
+  if (settings.apiUrl !== undefined && (typeof settings.apiUrl !== 'string' || !/^https?:\/\//.test(settings.apiUrl))) {
+    throw new Error(`${where} has invalid verify apiUrl: ${settings.apiUrl}. Must be an http(s) URL`);
+  }
+}
+
+// The backend for a network: its "verify" settings in tokens.json (type, default etherscan, and
+// apiUrl), or the built-in Etherscan explorer for well-known network names. `overrides` take
+// precedence over both, e.g. to point a backend at a local server.
+function createVerifier(network, chainId, settings = {}, overrides = {}) {
+  const type = overrides.type || settings.type || 'etherscan';
+  const Verifier = VERIFIERS[type];
+  if (!Verifier) {
+    throw new Error(`Unknown verify type: ${type}. Must be one of ${Object.keys(VERIFIERS).join(', ')}`);
+  }
+
+  let apiUrl = overrides.apiUrl || settings.apiUrl;
+  if (!apiUrl && type === 'etherscan') {
+    apiUrl = ETHERSCAN_APIS[network];
+  }
+  if (!apiUrl && type === 'sourcify') {
+    apiUrl = SOURCIFY_API;
+  }
+  if (!apiUrl) {
+    throw new Error(
+      `No ${type} API known for network ${network}. Set networks.${network}.verify.apiUrl in tokens.json`
+    );
+  }
+
+  const apiKey = overrides.apiKey !== undefined ? overrides.apiKey : process.env.ETHERSCAN_API_KEY;
+  return new Verifier({ apiUrl, apiKey, chainId });
+}
+
+module.exports = {
+  ETHERSCAN_APIS,
+  SOURCIFY_API,
+  VERIFIERS,
+  RateLimitError,
+  EtherscanVerifier,
+  BlockscoutVerifier,
+  SourcifyVerifier,
+  validateVerifyConfig,
+  createVerifier
+};
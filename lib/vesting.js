@@ -0,0 +1,72 @@
+// vesting.js - Vesting schedules of initial holders, each paid into its own vesting wallet
+const { ethers } = require('ethers');
+const time = require('./time');
+
+// Indices of the initial holders whose allocation vests instead of being transferred directly
+function vestedIndices(token) {
+  return (token.initialHolders || []).flatMap((holder, index) => (holder.vesting ? [index] : []));
+}
+
+// `start` is a timestamp, `cliff` and `duration` are lengths of time counted from the start
+function parseSchedule(vesting) {
+  return {
+    start: time.parseTimestamp(vesting.start),
+    cliff: vesting.cliff === undefined ? 0 : time.parseDuration(vesting.cliff),
+    duration: time.parseDuration(vesting.duration)
+  };
+}
+
+function validateVesting(token) {
+  for (const index of vestedIndices(token)) {
+    const holder = token.initialHolders[index];
+    const vesting = holder.vesting;
+    const label = `${token.name} holder ${holder.address}`;
+
+    if (typeof vesting !== 'object' || Array.isArray(vesting)) {
+      throw new Error(`Vesting of ${label} must be an object with start, cliff and duration`);
+    }
+    const schedule = parseSchedule(vesting);
+    if (schedule.start === null) {
+      throw new Error(`Vesting of ${label} has invalid start: ${vesting.start}. Use unix seconds or an ISO date`);
+    }
+    if (!schedule.duration) {
+      throw new Error(`Vesting of ${label} has invalid duration: ${vesting.duration}. Use seconds or e.g. "365d"`);
+    }
+    if (schedule.cliff === null) {
+      throw new Error(`Vesting of ${label} has invalid cliff: ${vesting.cliff}. Use seconds or e.g. "90d"`);
+    }
+    if (schedule.cliff > schedule.duration) {
+      throw new Error(`Vesting of ${label} has a cliff longer than its duration`);
+    }
+    if (ethers.parseUnits(holder.amount, token.decimals) === 0n) {
+      throw new Error(`Vesting of ${label} has no amount to vest`);
+    }
+  }
+}
+
+// Arguments of the TokenVestingWallet constructor
+function walletArgs(holder) {
+  const { start, cliff, duration } = parseSchedule(holder.vesting);
+  return [ethers.getAddress(holder.address), start, duration, cliff];
+}
+
+// Entry of the deployment report and address book for one vesting wallet
+function describeWallet(token, holder, wallet) {
+  const { start, cliff, duration } = parseSchedule(holder.vesting);
+  return {
+    beneficiary: ethers.getAddress(holder.address),
+    wallet,
+    amount: holder.amount,
+    start: time.toISOString(start),
+    cliff: time.toISOString(start + cliff),
+    end: time.toISOString(start + duration)
+  };
+}
+
+module.exports = {
+  vestedIndices,
+  parseSchedule,
+  validateVesting,
+  walletArgs,
+  describeWallet
+};
@@ -0,0 +1,170 @@
+// manageAddresses.js - List, compare and prune entries in the per-chain address book
+const { ethers } = require('ethers');
+const AddressBook = require('./lib/addressBook');
+require('dotenv').config();
+
+class AddressBookManager {
+  constructor() {
+    this.book = new AddressBook();
+    if (!this.book.exists()) {
+      throw new Error('No address book found. Run deployment first.');
+    }
+    this.book.load();
+  }
+
+  list(chainId) {
+    const chainIds = chainId ? [chainId] : Object.keys(this.book.chains);
+    if (chainId && !this.book.chains[chainId]) {
+      throw new Error(`No entries for chain ${chainId}`);
+    }
+
+    for (const id of chainIds) {
+      const chain = this.book.chains[id];
+      console.log(`\nChain ${id} (${chain.network || 'unnamed'})`);
+
+      for (const [symbol, entry] of Object.entries(chain.tokens)) {
+        console.log(`  ${symbol}: ${entry.address} (${entry.decimals} decimals)`);
+
+        // Full history only when looking at a single chain
+        if (chainId) {
+          entry.history.forEach(h => {
+            const current = h.address.toLowerCase() === entry.address.toLowerCase() ? ' (current)' : '';
+            console.log(`    ${h.deployedAt}  ${h.address}${current}`);
+          });
+        } else if (entry.history.length > 1) {
+          console.log(`    ${entry.history.length - 1} earlier deployment(s)`);
+        }
+      }
+    }
+    console.log('');
+  }
+
+  diff(chainA, chainB) {
+    for (const id of [chainA, chainB]) {
+      if (!this.book.chains[id]) {
+        throw new Error(`No entries for chain ${id}`);
+      }
+    }
+
+    console.log(`\nChain ${chainA} vs chain ${chainB}\n`);
+    for (const row of this.book.diff(chainA, chainB)) {
+      switch (row.status) {
+        case 'same':
+          console.log(`  = ${row.symbol}: ${row.a}`);
+          break;
+        case 'different':
+          console.log(`  ≠ ${row.symbol}: ${row.a} / ${row.b}`);
+          break;
+        case 'only-a':
+          console.log(`  < ${row.symbol}: ${row.a} (only on ${chainA})`);
+          break;
+        case 'only-b':
+          console.log(`  > ${row.symbol}: ${row.b} (only on ${chainB})`);
+          break;
+      }
+    }
+    console.log('');
+  }
+
+  prune(chainId, symbol) {
+    const removed = this.book.remove(chainId, symbol || null);
+    if (removed === 0) {
+      throw new Error(`Nothing to prune for chain ${chainId}${symbol ? ` / ${symbol}` : ''}`);
+    }
+    this.book.save();
+    console.log(`✓ Removed ${removed} entr${removed === 1 ? 'y' : 'ies'} from chain ${chainId}`);
+  }
+
+  pruneHistory(keep) {
+    const dropped = this.book.trimHistory(keep);
+    this.book.save();
+    console.log(`✓ Dropped ${dropped} history entr${dropped === 1 ? 'y' : 'ies'}`);
+  }
+
+  // Drops entries on the RPC_URL chain whose contract no longer has code (e.g. after a local node restart)
+  async pruneMissing() {
+    if (!process.env.RPC_URL) {
+      throw new Error('RPC_URL is required to check for missing contracts');
+    }
+
+    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+    const chainId = (await provider.getNetwork()).chainId.toString();
+    const tokens = this.book.getTokens(chainId);
+
+    let removed = 0;
+    for (const [symbol, token] of Object.entries(tokens)) {
+      if ((await provider.getCode(token.address)) === '0x') {
+        console.log(`  ${symbol}: no code at ${token.address}`);
+        removed += this.book.remove(chainId, symbol);
+      }
+    }
+
+    this.book.save();
+    console.log(`✓ Removed ${removed} missing entr${removed === 1 ? 'y' : 'ies'} from chain ${chainId}`);
+  }
+}
+
+// CLI Interface
+async function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+
+  try {
+    switch(command) {
+      case 'list':
+        new AddressBookManager().list(args[0]);
+        break;
+
+      case 'diff':
+        if (args.length < 2) {
+          console.error('Usage: node manageAddresses.js diff <CHAIN_ID_A> <CHAIN_ID_B>');
+          process.exit(1);
+        }
+        new AddressBookManager().diff(args[0], args[1]);
+        break;
+
+      case 'prune':
+        if (args.length < 1) {
+          console.error('Usage: node manageAddresses.js prune <CHAIN_ID> [SYMBOL]');
+          process.exit(1);
+        }
+        new AddressBookManager().prune(args[0], args[1]);
+        break;
+
+      case 'prune-history':
+        if (args.length < 1) {
+          console.error('Usage: node manageAddresses.js prune-history <KEEP>');
+          process.exit(1);
+        }
+        new AddressBookManager().pruneHistory(Number(args[0]));
+        break;
+
+      case 'prune-missing':
+        await new AddressBookManager().pruneMissing();
+        break;
+
+      default:
+        console.log('Address Book Utility\n');
+        console.log('Commands:');
+        console.log('  list [CHAIN_ID]                 - List current addresses (with history for one chain)');
+        console.log('  diff <CHAIN_A> <CHAIN_B>        - Compare the tokens deployed on two chains');
+        console.log('  prune <CHAIN_ID> [SYMBOL]       - Remove a chain, or one token on it');
+        console.log('  prune-history <KEEP>            - Keep only the last KEEP deployments of each token');
+        console.log('  prune-missing                   - Remove entries with no code on the RPC_URL chain');
+        console.log('\nExamples:');
+        console.log('  node manageAddresses.js list');
+        console.log('  node manageAddresses.js list 11155111');
+        console.log('  node manageAddresses.js diff 1 11155111');
+        console.log('  node manageAddresses.js prune 31337');
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = AddressBookManager;
@@ -1,138 +1,192 @@
-// verifyContracts.js - Optional Etherscan verification script
-const axios = require('axios');
+// verifyContracts.js - Optional source verification on Etherscan-compatible explorers, Blockscout or Sourcify
 const fs = require('fs');
 const path = require('path');
+const templates = require('./lib/templates');
+const compiler = require('./lib/compiler');
+const verifiers = require('./lib/verifiers');
+const tokenConfig = require('./lib/config');
+const VerificationHistory = require('./lib/verificationHistory');
 require('dotenv').config();
 
-const ETHERSCAN_APIS = {
-  mainnet: 'https://api.etherscan.io/api',
-  sepolia: 'https://api-sepolia.etherscan.io/api',
-  goerli: 'https://api-goerli.etherscan.io/api',
-  polygon: 'https://api.polygonscan.com/api',
-  bsc: 'https://api.bscscan.com/api',
-  arbitrum: 'https://api.arbiscan.io/api',
-  optimism: 'https://api-optimistic.etherscan.io/api',
-  avalanche: 'https://api.snowtrace.io/api'
-};
+const MAX_POLL_INTERVAL = 30000;
+const MAX_RETRIES = 5;
 
 class ContractVerifier {
-  constructor(network, apiKey) {
+  // `network` picks the newest report for that network (any network if null). options.report
+  // names a report file instead, and options.symbols limits the run to some of its tokens.
+  // options.type and options.apiUrl override the network's verify settings, e.g. to run
+  // against a local server; options.pollInterval is the first wait between status checks in ms,
+  // doubled after each check.
+  constructor(network = null, options = {}) {
     this.network = network;
-    this.apiKey = apiKey;
-    this.apiUrl = ETHERSCAN_APIS[network] || ETHERSCAN_APIS.mainnet;
+    this.reportPath = options.report || null;
+    this.symbols = options.symbols || [];
+    this.overrides = { type: options.type, apiUrl: options.apiUrl, apiKey: options.apiKey };
+    this.pollInterval = options.pollInterval ?? 3000;
+    this.backend = null;
   }
 
+  // The "verify" section of tokens.json, overridden by the one of the network
+  loadVerifySettings() {
+    const configPath = tokenConfig.defaultConfigPath(__dirname);
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+    const config = tokenConfig.loadConfigFile(configPath);
+    const network = (config.networks || {})[this.network] || {};
+    verifiers.validateVerifyConfig(config.verify, 'tokens.json');
+    verifiers.validateVerifyConfig(network.verify, `Network ${this.network}`);
+    return { ...config.verify, ...network.verify };
+  }
+
+  // The report given with --report, or else the newest one (by its timestamp) for the network
   async loadDeploymentReport() {
+    if (this.reportPath) {
+      const candidates = [this.reportPath, path.join(__dirname, 'deployments', this.reportPath)];
+      const reportPath = candidates.find(candidate => fs.existsSync(candidate));
+      if (!reportPath) {
+        throw new Error(`Deployment report not found: ${this.reportPath}`);
+      }
+      return { path: reportPath, report: JSON.parse(fs.readFileSync(reportPath, 'utf8')) };
+    }
+
     const deploymentDir = path.join(__dirname, 'deployments');
-    const files = fs.readdirSync(deploymentDir);
-    
-    // Find the most recent deployment file
-    const deploymentFiles = files.filter(f => f.startsWith('deployment-') && f.endsWith('.json'));
-    if (deploymentFiles.length === 0) {
-      throw new Error('No deployment files found');
+    const files = fs.existsSync(deploymentDir) ? fs.readdirSync(deploymentDir) : [];
+    const reports = files
+      .filter(f => f.startsWith('deployment-') && f.endsWith('.json'))
+      .map(f => ({ path: path.join(deploymentDir, f), report: JSON.parse(fs.readFileSync(path.join(deploymentDir, f), 'utf8')) }))
+      .filter(({ report }) => this.network === null || report.network === this.network);
+    if (reports.length === 0) {
+      throw new Error(this.network === null ? 'No deployment files found' : `No deployment files found for network ${this.network}`);
     }
-    
-    deploymentFiles.sort().reverse();
-    const latestFile = deploymentFiles[0];
-    
-    const reportPath = path.join(deploymentDir, latestFile);
-    return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+
+    reports.sort((a, b) => a.report.timestamp.localeCompare(b.report.timestamp));
+    return reports[reports.length - 1];
+  }
+
+  // The report's deployments, limited to the symbols given with --symbol
+  selectDeployments(report) {
+    if (this.symbols.length === 0) {
+      return report.deployments;
+    }
+    const unknown = this.symbols.filter(symbol => !report.deployments.some(d => d.symbol === symbol));
+    if (unknown.length > 0) {
+      throw new Error(`Not in the deployment report: ${unknown.join(', ')}`);
+    }
+    return report.deployments.filter(d => this.symbols.includes(d.symbol));
   }
 
-  async loadContractSource() {
-    const contractPath = path.join(__dirname, 'contracts', 'ERC20Token.sol');
-    return fs.readFileSync(contractPath, 'utf8');
+  // Runs an API call again after a rate limit or a network error, waiting twice as long each
+  // time (or as long as the API asked)
+  async withRetry(call, retries = MAX_RETRIES) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await call();
+      } catch (error) {
+        const rateLimited = error instanceof verifiers.RateLimitError;
+        const transient = error.response ? error.response.status >= 500 : error.code !== undefined;
+        if ((!rateLimited && !transient) || attempt >= retries) {
+          throw error;
+        }
+        const delay = rateLimited && error.retryAfter !== null
+          ? error.retryAfter * 1000
+          : Math.min(1000 * 2 ** attempt, MAX_POLL_INTERVAL);
+        console.log(`    ${rateLimited ? error.message : `Request failed: ${error.message}`} - retrying in ${delay / 1000}s`);
+        await this.sleep(delay);
+      }
+    }
   }
 
+  // The standard JSON input and compiler version the contract was built with. Reports written
+  // before build info was recorded are rebuilt from the current sources with the bundled solc.
+  loadBuild(deployment, target) {
+    if (deployment.build) {
+      const build = compiler.loadBuildInfo(deployment.build.id);
+      return { ...build, contractName: deployment.build.contractName };
+    }
+    console.log('  No build info recorded - rebuilding from the current sources');
+    const artifact = compiler.compile([target])[target.contract];
+    return { ...artifact.build, contractName: compiler.describeBuild(artifact).contractName };
+  }
+
+  // The token contract itself, or for proxied tokens the implementation, which has no constructor arguments
+  contractToVerify(deployment) {
+    // Reports written before templates existed are all feature-flag tokens
+    const template = templates.getTemplate(deployment.template);
+    if (deployment.proxy) {
+      const implementation = templates.implementation(template, deployment.proxy.kind);
+      return { address: deployment.proxy.implementation, ...implementation, constructorArgs: '' };
+    }
+    return {
+      address: deployment.address,
+      source: template.source,
+      contract: template.contract,
+      constructorArgs: templates.encodeConstructorArgs(template, deployment, deployment.owner),
+      deploymentTx: deployment.deploymentTx
+    };
+  }
+
+  // Returns { address, contract, status, message }, where status is verified, already-verified or
+  // failed, for the contract that was checked: the token's, or the implementation behind its proxy
   async verifyContract(deployment) {
     console.log(`Verifying ${deployment.symbol} at ${deployment.address}...`);
 
+    let target = { address: deployment.address, contract: deployment.contract };
+    const result = (status, message) => ({ address: target.address, contract: target.contract, status, message });
     try {
-      const sourceCode = await this.loadContractSource();
-      
-      // Prepare constructor arguments
-      const constructorArgs = this.encodeConstructorArgs(deployment);
-
-      // Submit verification request
-      const response = await axios.post(this.apiUrl, {
-        apikey: this.apiKey,
-        module: 'contract',
-        action: 'verifysourcecode',
-        contractaddress: deployment.address,
-        sourceCode: sourceCode,
-        codeformat: 'solidity-single-file',
-        contractname: 'ERC20Token',
-        compilerversion: 'v0.8.20+commit.a1b79de6',
-        optimizationUsed: 1,
-        runs: 200,
-        constructorArguements: constructorArgs,
-        evmversion: 'paris',
-        licenseType: 3 // MIT
-      });
+      target = this.contractToVerify(deployment);
+      if (target.address !== deployment.address) {
+        console.log(`  Implementation: ${target.address} (${target.contract})`);
+      }
 
-      if (response.data.status === '1') {
-        const guid = response.data.result;
-        console.log(`  Verification submitted. GUID: ${guid}`);
-        
-        // Check verification status
-        const status = await this.checkVerificationStatus(guid);
-        if (status.success) {
-          console.log(`  ✓ ${deployment.symbol} verified successfully!`);
-          return true;
-        } else {
-          console.log(`  ✗ ${deployment.symbol} verification failed: ${status.message}`);
-          return false;
-        }
+      if (await this.withRetry(() => this.backend.isVerified(target.address))) {
+        console.log(`  ✓ ${deployment.symbol} is already verified - skipping`);
+        return result('already-verified', 'Already verified');
+      }
+
+      const build = this.loadBuild(deployment, target);
+      console.log(`  Compiler: ${build.compilerVersion} (${build.contractName})`);
+
+      const guid = await this.withRetry(() => this.backend.submit({
+        address: target.address,
+        build,
+        constructorArgs: target.constructorArgs,
+        deploymentTx: target.deploymentTx
+      }));
+      if (guid === null) {
+        console.log(`  ✓ ${deployment.symbol} is already verified`);
+        return result('already-verified', 'Already verified');
+      }
+      console.log(`  Verification submitted. ID: ${guid}`);
+
+      // Check verification status
+      const status = await this.checkVerificationStatus(guid);
+      if (status.success) {
+        console.log(`  ✓ ${deployment.symbol} verified successfully!`);
+        return result('verified', status.message);
       } else {
-        console.log(`  ✗ Failed to submit verification: ${response.data.result}`);
-        return false;
+        console.log(`  ✗ ${deployment.symbol} verification failed: ${status.message}`);
+        return result('failed', status.message);
       }
     } catch (error) {
       console.error(`  ✗ Error verifying ${deployment.symbol}:`, error.message);
-      return false;
+      return result('failed', error.message);
     }
   }
 
-  encodeConstructorArgs(deployment) {
-    // This would need proper ABI encoding - simplified version shown
-    const { ethers } = require('ethers');
-    const abiCoder = new ethers.AbiCoder();
-    
-    return abiCoder.encode(
-      ['string', 'string', 'uint8', 'uint256', 'bool', 'bool', 'bool'],
-      [
-        deployment.name,
-        deployment.symbol,
-        deployment.decimals,
-        ethers.parseUnits(deployment.initialSupply, deployment.decimals),
-        deployment.mintable,
-        deployment.burnable,
-        deployment.pausable
-      ]
-    ).slice(2); // Remove 0x prefix
-  }
-
-  async checkVerificationStatus(guid, attempts = 30) {
+  // Polls with exponential backoff: pollInterval, twice that, ... up to 30 seconds between checks
+  async checkVerificationStatus(guid, attempts = 12) {
+    let delay = this.pollInterval;
     for (let i = 0; i < attempts; i++) {
-      await this.sleep(3000); // Wait 3 seconds between checks
-      
-      try {
-        const response = await axios.get(this.apiUrl, {
-          params: {
-            apikey: this.apiKey,
-            module: 'contract',
-            action: 'checkverifystatus',
-            guid: guid
-          }
-        });
+      await this.sleep(delay);
+      delay = Math.min(delay * 2, MAX_POLL_INTERVAL);
 
-        if (response.data.status === '1') {
-          return { success: true, message: 'Verified' };
-        } else if (response.data.result === 'Pending in queue') {
-          console.log('    Still pending...');
-        } else {
-          return { success: false, message: response.data.result };
+      try {
+        const status = await this.withRetry(() => this.backend.checkStatus(guid));
+        if (!status.pending) {
+          return status;
         }
+        console.log('    Still pending...');
       } catch (error) {
         console.error('    Error checking status:', error.message);
       }
@@ -146,35 +200,39 @@ class ContractVerifier {
   }
 
   async verifyAll() {
-    if (!process.env.ETHERSCAN_API_KEY) {
-      console.log('ETHERSCAN_API_KEY not found in .env - skipping verification');
-      return;
-    }
-
     console.log('\n════════════════════════════════════════════════════════');
-    console.log('              ETHERSCAN CONTRACT VERIFICATION              ');
+    console.log('                 CONTRACT VERIFICATION                     ');
     console.log('════════════════════════════════════════════════════════\n');
 
     try {
-      const report = await this.loadDeploymentReport();
+      const { path: reportPath, report } = await this.loadDeploymentReport();
+      this.network = this.network || report.network;
+      this.backend = verifiers.createVerifier(this.network, report.chainId, this.loadVerifySettings(), this.overrides);
+      const deployments = this.selectDeployments(report);
+      console.log(`Report: ${path.relative(__dirname, reportPath)}`);
       console.log(`Network: ${report.network}`);
-      console.log(`Contracts to verify: ${report.deployments.length}\n`);
+      console.log(`Verifier: ${this.backend.name} (${this.backend.apiUrl})`);
+      console.log(`Contracts to verify: ${deployments.length}\n`);
 
+      const history = new VerificationHistory(this.network).load();
+      history.chainId = report.chainId;
       const results = {
         verified: [],
+        alreadyVerified: [],
         failed: []
       };
 
-      for (const deployment of report.deployments) {
-        const success = await this.verifyContract(deployment);
-        if (success) {
-          results.verified.push(deployment.symbol);
-        } else {
-          results.failed.push(deployment.symbol);
-        }
-        
-        // Rate limiting
-        await this.sleep(1000);
+      for (const deployment of deployments) {
+        // Reports written before the owner was recorded per token used the deployer
+        const result = await this.verifyContract({ owner: report.deployer, ...deployment });
+        history.record(result.address, {
+          symbol: deployment.symbol,
+          contract: result.contract,
+          verifier: this.backend.name,
+          status: result.status,
+          message: result.message
+        });
+        results[{ verified: 'verified', 'already-verified': 'alreadyVerified', failed: 'failed' }[result.status]].push(deployment.symbol);
       }
 
       console.log('\n════════════════════════════════════════════════════════');
@@ -184,40 +242,48 @@ class ContractVerifier {
       if (results.verified.length > 0) {
         console.log('✓ Verified:', results.verified.join(', '));
       }
+
+      if (results.alreadyVerified.length > 0) {
+        console.log('✓ Already verified:', results.alreadyVerified.join(', '));
+      }
       
       if (results.failed.length > 0) {
         console.log('✗ Failed:', results.failed.join(', '));
+        process.exitCode = 1;
       }
 
-      // Save verification results
-      const verificationReport = {
+      // Merge the results into the network's history
+      history.addRun({
         timestamp: new Date().toISOString(),
-        network: report.network,
-        results: results
-      };
-
-      const reportPath = path.join(__dirname, 'deployments', 'verification-report.json');
-      fs.writeFileSync(reportPath, JSON.stringify(verificationReport, null, 2));
-      console.log(`\nVerification report saved: ${reportPath}`);
+        report: path.relative(__dirname, reportPath),
+        verifier: this.backend.name,
+        ...results
+      });
+      history.save();
+      console.log(`\nVerification history updated: ${history.historyPath}`);
 
     } catch (error) {
       console.error('Verification failed:', error.message);
+      process.exitCode = 1;
     }
   }
 }
 
 // Main execution
 async function main() {
-  const network = process.argv[2] || 'mainnet';
-  const apiKey = process.env.ETHERSCAN_API_KEY;
-
-  if (!apiKey) {
-    console.error('Error: ETHERSCAN_API_KEY not found in .env file');
-    console.log('Add ETHERSCAN_API_KEY=your_api_key to your .env file');
-    process.exit(1);
-  }
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const network = args[0] && !args[0].startsWith('--') ? args[0] : option('--network') || null;
 
-  const verifier = new ContractVerifier(network, apiKey);
+  const verifier = new ContractVerifier(network, {
+    report: option('--report'),
+    symbols: option('--symbol') ? option('--symbol').split(',') : [],
+    type: option('--verifier'),
+    apiUrl: option('--api-url')
+  });
   await verifier.verifyAll();
 }
 